@@ -1,7 +1,9 @@
 /*jslint browser: true, devel: true */
-/*global window, document, navigator, atob */
-/*global Promise, Blob, FileReader, CustomEvent, localStorage, CSInterface */
-/*global BookalopeClient, BookalopeError, Book, Bookflow */
+/*global window, document, navigator, atob, DOMParser */
+/*global Promise, Blob, FileReader, Uint8Array, CustomEvent, localStorage, CSInterface, SystemPath */
+/*global BookalopeClient, BookalopeError, BookalopeCancelError, CancelToken, Book, Bookflow, Format, Style */
+/*global BookalopeAuthenticationError, BookalopePermissionError, BookalopeNotFoundError, BookalopeRateLimitError */
+/*global BookalopeServerError, BookalopeNetworkError, BookalopeVersionError, BookalopeTimeoutError, poll */
 
 
 /**
@@ -77,6 +79,42 @@ function getBookalopeAPIToken() {
 }
 
 
+/**
+ * Retrieve the user's exclusion rules for exporting InDesign documents that are stored
+ * by Chromium, or return the default rules if they weren't found.
+ *
+ * @returns {object} The exclusion rules, see `bookalopeApplyExclusionRules()` on the InDesign side.
+ */
+
+function getExclusionRules() {
+    var rules = {hidden: true, nonPrinting: true, master: true, pasteboard: true, layers: [], labels: []};
+    if (typeof localStorage === "object") {
+        try {
+            var stored = JSON.parse(localStorage.getItem("idsn_extension_bookalope_exclusion_rules"));
+            if (stored) {
+                rules = stored;
+            }
+        } catch (error) {
+            // Ignore damaged rules and use the defaults.
+        }
+    }
+    return rules;
+}
+
+
+/**
+ * Store the given exclusion rules for exporting InDesign documents for later use.
+ *
+ * @param {object} rules - The exclusion rules.
+ */
+
+function setExclusionRules(rules) {
+    if (typeof localStorage === "object") {
+        localStorage.setItem("idsn_extension_bookalope_exclusion_rules", JSON.stringify(rules));
+    }
+}
+
+
 /**
  * Store the given Bookalope API token and beta host flag for later use. Makes it easier
  * for the user so she doesn't have to keep entering the token between sessions.
@@ -124,6 +162,7 @@ function showUpload() {
 
     document.getElementById("bookalope-upload").classList.remove("hidden");
     document.getElementById("bookalope-update").classList.add("hidden");
+    document.getElementById("bookalope-library").classList.add("hidden");
 }
 
 
@@ -139,27 +178,151 @@ function showUpload() {
 function showUpdate() {
     document.getElementById("bookalope-upload").classList.add("hidden");
     document.getElementById("bookalope-update").classList.remove("hidden");
+    document.getElementById("bookalope-library").classList.add("hidden");
+}
+
+
+/**
+ * Next to the Upload and Update panels there is the Library panel where the user browses
+ * her Bookalope bookshelves and books, independent of the active InDesign document.
+ *
+ * This function shows the Library panel and hides the other two panels.
+ */
+
+function showLibrary() {
+    document.getElementById("bookalope-upload").classList.add("hidden");
+    document.getElementById("bookalope-update").classList.add("hidden");
+    document.getElementById("bookalope-library").classList.remove("hidden");
 }
 
 
 /**
- * Show the Spinner overlay that blocks a panel.
+ * The CancelToken of the work that the Spinner overlay is currently waiting for,
+ * or undefined if the Spinner is hidden.
+ */
+
+var spinnerCancelToken;
+
+
+/**
+ * Show the Spinner overlay that blocks a panel. Returns a new CancelToken which is
+ * cancelled when the user clicks the Spinner's Cancel button; pass that token along
+ * to all requests and timers the Spinner is waiting for.
+ *
+ * @returns {CancelToken}
  */
 
 function showSpinner() {
+    spinnerCancelToken = new CancelToken();
     document.getElementById("spinner").classList.remove("hidden");
+    return spinnerCancelToken;
 }
 
 
 /**
- * Hide the Spinner overlay to enable input for a panel.
+ * Hide the Spinner overlay to enable input for a panel, if it's still waiting for the work
+ * of the given CancelToken. Work that was cancelled may still finish late (InDesign can't
+ * interrupt a running script) and must not hide the Spinner of newer work.
+ *
+ * @param {CancelToken} cancelToken - The token that `showSpinner()` returned for the work.
  */
 
-function hideSpinner() {
+function hideSpinner(cancelToken) {
+    if (cancelToken !== spinnerCancelToken) {
+        return;
+    }
+    spinnerCancelToken = undefined;
+    hideProgress();
     document.getElementById("spinner").classList.add("hidden");
 }
 
 
+/**
+ * The label and start time of the currently shown progress, to estimate its remaining time.
+ */
+
+var progressLabel;
+var progressStartTime;
+
+
+/**
+ * Helper function that formats the given number of bytes into a human readable string.
+ *
+ * @param {number} bytes - A number of bytes.
+ * @returns {string} The formatted number, e.g. "12.3 MB".
+ */
+
+function formatBytes(bytes) {
+    var units = ["bytes", "KB", "MB", "GB"];
+    var unit = 0;
+    while (bytes >= 1024 && unit < units.length - 1) {
+        bytes /= 1024;
+        unit += 1;
+    }
+    return (unit === 0 ? bytes : bytes.toFixed(1)) + " " + units[unit];
+}
+
+
+/**
+ * Replace the indeterminate Spinner with a determinate progress bar that shows how
+ * many of the total bytes are done, and an estimate of the remaining time. The first
+ * call for a label starts the clock for the estimate, `hideProgress()` resets it.
+ * Without a byte count the bar is indeterminate and shows only the label.
+ *
+ * @param {string} label - What's in progress, e.g. "Uploading".
+ * @param {number} loaded - Optional number of bytes done.
+ * @param {number} total - Optional total number of bytes.
+ */
+
+function showProgress(label, loaded, total) {
+    var now = Date.now();
+    if (progressStartTime === undefined || progressLabel !== label) {
+        progressLabel = label;
+        progressStartTime = now;
+    }
+
+    // Estimate the remaining time from the average speed so far.
+    var text = loaded === undefined ? label + "..." : label + " " + formatBytes(loaded) + (total ? " of " + formatBytes(total) : "");
+    var elapsed = now - progressStartTime;
+    if (loaded > 0 && loaded < total && elapsed > 1000) {
+        var remaining = Math.ceil((elapsed / loaded) * (total - loaded) / 1000);
+        text += ", about " + (remaining < 60 ? remaining + "s" : Math.ceil(remaining / 60) + "min") + " left";
+    }
+
+    document.getElementById("progress-label").textContent = text;
+    document.getElementById("progress-fill").style.width = (total ? Math.min(100, 100 * loaded / total) : 0) + "%";
+    document.getElementById("progress").classList.toggle("is-indeterminate", !total);
+    document.getElementById("spinner").querySelector(".spinner").classList.add("hidden");
+    document.getElementById("progress").classList.remove("hidden");
+}
+
+
+/**
+ * Replace the progress bar with the indeterminate Spinner again.
+ */
+
+function hideProgress() {
+    progressLabel = undefined;
+    progressStartTime = undefined;
+    document.getElementById("progress").classList.add("hidden");
+    document.getElementById("spinner").querySelector(".spinner").classList.remove("hidden");
+}
+
+
+/**
+ * The user clicked the Spinner's Cancel button: cancel all pending requests and
+ * timers the Spinner is waiting for, and unblock the panel.
+ */
+
+function cancelSpinner() {
+    if (spinnerCancelToken) {
+        spinnerCancelToken.cancel();
+    }
+    hideSpinner(spinnerCancelToken);
+    showStatus("Cancelled");
+}
+
+
 /**
  * There is a status message box at the bottom of both panels. This function renders
  * a given message of the given class into that message box.
@@ -227,6 +390,40 @@ function showServerError(text) {
 }
 
 
+/**
+ * Displays an error that was raised while talking to the Bookalope server, and
+ * depending on the kind of error some guidance for the user what to do about it.
+ * If the user cancelled the request then that's not an error and we say so. Other
+ * errors that aren't BookalopeErrors (e.g. strings) are client errors.
+ *
+ * @param {BookalopeError|string} error - The error.
+ */
+
+function showBookalopeError(error) {
+    if (error instanceof BookalopeCancelError) {
+        showStatus("Cancelled");
+    } else if (error instanceof BookalopeAuthenticationError) {
+        showElementError(document.getElementById("input-bookalope-token"), "Bookalope did not accept the API token, please re-enter it");
+    } else if (error instanceof BookalopePermissionError) {
+        showServerError(error.message + "<br>This may require a paid plan, please purchase a plan on the Bookalope website");
+    } else if (error instanceof BookalopeNotFoundError) {
+        showServerError(error.message + "<br>The book may have been deleted on the Bookalope website");
+    } else if (error instanceof BookalopeRateLimitError) {
+        showServerError(error.message + "<br>Bookalope is busy right now, please try again in a few minutes");
+    } else if (error instanceof BookalopeNetworkError) {
+        showServerError(error.message + "<br>Please check your network connection");
+    } else if (error instanceof BookalopeServerError) {
+        showServerError(error.message + "<br>Please try again later");
+    } else if (error instanceof BookalopeVersionError) {
+        showServerError(error.message + "<br>Please update the Bookalope extension");
+    } else if (error instanceof BookalopeError) {
+        showServerError(error.message);
+    } else {
+        showClientError(error);
+    }
+}
+
+
 /**
  * Displays a status message.
  *
@@ -238,12 +435,86 @@ function showStatus(text) {
 }
 
 
+/**
+ * Split the given comma separated list into its trimmed, non-empty items.
+ *
+ * @param {string} text - The comma separated list, e.g. "Notes, Slug".
+ * @returns {Array} The items, e.g. ["Notes", "Slug"].
+ */
+
+function splitList(text) {
+    return text.split(",").map(function (item) {
+        return item.trim();
+    }).filter(function (item) {
+        return item.length !== 0;
+    });
+}
+
+
+/**
+ * Escape the given text so that it can be shown as part of an HTML string, e.g. a notice.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+
+function escapeHTML(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+
+/**
+ * There is a notice box at the bottom of both panels, above the status message box,
+ * which shows non-blocking information that the user should know about until she
+ * dismisses it by clicking it. This function renders the given notice into that box.
+ *
+ * @param {string} notice - The notice to be displayed.
+ */
+
+function showNotice(notice) {
+    var noticeBox = document.getElementById("status-notice-box");
+    noticeBox.innerHTML = notice;
+    noticeBox.classList.remove("hidden");
+}
+
+
+/**
+ * The version of this extension as declared in its manifest, read once when needed.
+ */
+
+var bookalopeExtensionVersion;
+
+
+/**
+ * Return the version of this extension from its manifest, or "unknown" if the manifest
+ * can't be read.
+ *
+ * @returns {string} The extension's version, e.g. "1.3.1".
+ */
+
+function getExtensionVersion() {
+    if (bookalopeExtensionVersion === undefined) {
+        bookalopeExtensionVersion = "unknown";
+        var csInterface = new CSInterface();
+        var result = window.cep.fs.readFile(csInterface.getSystemPath(SystemPath.EXTENSION) + "/CSXS/manifest.xml");
+        if (!result.err) {
+            var manifest = new DOMParser().parseFromString(result.data, "text/xml");
+            var extension = manifest.querySelector("ExtensionList > Extension[Id='" + csInterface.getExtensionID() + "']");
+            if (extension && extension.getAttribute("Version")) {
+                bookalopeExtensionVersion = extension.getAttribute("Version");
+            }
+        }
+    }
+    return bookalopeExtensionVersion;
+}
+
+
 /**
  * Displays a generic Ok status message.
  */
 
 function showStatusOk() {
-    showStatus("Ok (v1.3.1)");
+    showStatus("Ok (v" + getExtensionVersion() + ")");
 }
 
 
@@ -275,88 +546,190 @@ function makeUUID4() {
 }
 
 
+/**
+ * Write the given Blob into the given file. Returns a Promise that is fulfilled with
+ * the file name or rejected with an error string.
+ *
+ * The Blob is written in chunks, one slice at a time, so that large files (e.g. print
+ * PDFs) don't have to be held in memory several times over. CEP's file API can't append
+ * to a file, so each chunk is handed to the InDesign side as a binary string which is
+ * appended there, see `bookalopeWriteFileChunk()`.
+ *
+ * @param {Blob} blob - The data to write.
+ * @param {string} filename - The file name to write to.
+ * @param {CancelToken} cancelToken - Cancels writing, and removes the incomplete file.
+ * @param {function} onProgress - Optional `onProgress(written, total)` callback.
+ * @returns {Promise}
+ */
+
+function writeBlobToFile(blob, filename, cancelToken, onProgress) {
+
+    // Create and return a new Promise.
+    return new Promise(function (resolve, reject) {
+        var csInterface = new CSInterface();
+        var chunkSize = 1024 * 1024;  // 1MiB
+        var offset = 0;
+
+        // Remove the incomplete file, if any.
+        function fail(error) {
+            window.cep.fs.deleteFile(filename);
+            reject(error);
+        }
+
+        function writeNextChunk() {
+            if (cancelToken && cancelToken.isCancelled()) {
+                fail(new BookalopeCancelError());
+                return;
+            }
+            var reader = new FileReader();
+            reader.addEventListener("loadend", function () {
+                if (reader.error) {
+                    fail("Failed to read Bookalope data (" + reader.error.name + ")");
+                    return;
+                }
+
+                // Turn the bytes into a string of character codes 0-255, piece by piece
+                // because `apply()` limits the number of arguments.
+                var bytes = new Uint8Array(reader.result);
+                var data = "";
+                for (var i = 0; i < bytes.length; i += 8192) {
+                    data += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+                }
+
+                // Append the chunk to the file (or create the file with the first chunk),
+                // and check that the file has grown by the size of the chunk.
+                var expected = offset + bytes.length;
+                var script = "bookalopeWriteFileChunk(" + JSON.stringify(filename) + ", " + JSON.stringify(data) + ", " + (offset !== 0) + ");";
+                csInterface.evalScript(script, function (result) {
+                    if (result === EvalScript_ErrMessage || JSON.parse(result) === false) {
+                        fail("Failed to write file " + filename);
+                    } else if (JSON.parse(result) !== expected) {
+                        fail("Failed to write file " + filename + " (wrote " + JSON.parse(result) + " of " + expected + " bytes)");
+                    } else {
+                        offset = expected;
+                        if (onProgress) {
+                            onProgress(offset, blob.size);
+                        }
+                        if (offset >= blob.size) {
+                            resolve(filename);
+                        } else {
+                            writeNextChunk();
+                        }
+                    }
+                });
+            });
+            reader.readAsArrayBuffer(blob.slice(offset, offset + chunkSize));
+        }
+        writeNextChunk();
+    });
+}
+
+
+/**
+ * The conversions that are in progress, by Bookflow id and format; see `conversionKey()`.
+ * Two conversions of the same Bookflow into the same format would compete on the server.
+ */
+
+var busyConversions = {};
+
+
+/**
+ * Return the key of a conversion of the given Bookflow into the given format.
+ *
+ * @param {Bookflow} bookflow - A Bookflow.
+ * @param {string} format - The file format.
+ * @returns {string}
+ */
+
+function conversionKey(bookflow, format) {
+    return bookflow.id + ":" + format;
+}
+
+
 /**
  * Given a Bookalope Bookflow object, converts the book into the given file format
  * and saves the converted file. Returns a Promise that is fulfilled with the document's
- * filename or rejected with an error string.
+ * filename or rejected with an error string. Only one conversion of a Bookflow into a
+ * format runs at a time, and a second one is rejected.
  *
  * @param {Bookflow} bookflow - A valid Bookflow object referencing a server-side document conversion.
  * @param {string} format - Convert the given document to this format.
  * @param {string} style - The styling for the converted InDesign story.
  * @param {string} filename - The file name to save the converted file.
+ * @param {CancelToken} cancelToken - Cancels the conversion and download.
+ * @param {function} onProgress - Optional `onProgress(label, loaded, total)` callback
+ *        to track downloading and saving the converted file. While the server is still
+ *        converting, `loaded` and `total` are undefined.
  * @returns {Promise}
  */
 
-function saveBookflowFile(bookflow, format, style, filename) {
+function saveBookflowFile(bookflow, format, style, filename, cancelToken, onProgress) {
 
     // Create and return a new Promise.
     return new Promise(function (resolve, reject) {
+        var requestOptions = {cancelToken: cancelToken};
+        var key = conversionKey(bookflow, format);
+        if (busyConversions[key]) {
+            reject(new BookalopeError("The document is being converted to " + format + " already"));
+            return;
+        }
+        busyConversions[key] = true;
 
         // Call the Bookflow's convert function, which itself returns a Promise. The returned
         // Promise is fulfilled with the Booklow ready for waiting, or rejected with a BookalopeError.
-        bookflow.convert(format, style)
+        bookflow.convert(format, style, requestOptions)
         .then(function (bookflow) {
 
             // Conversion is triggered on the server, now check periodically the status of the
-            // conversion until it has succeeded or failed.
-            var intervalID = window.setInterval(function (bookflow) {
-                bookflow.convert_status(format)
+            // conversion until it has succeeded or failed. Stop checking if cancelled.
+            return poll(function () {
+                return bookflow.convert_status(format, requestOptions)
                 .then(function (status_) {
-
-                    // Conversion succeeded, now download and save the converted file.
-                    if (status_ === "available") {
-                        window.clearInterval(intervalID);
-                        bookflow.convert_download(format)
-                        .then(function (blob) {
-
-                            // Read the Blob's data as a data URL: a MIME header with Base64 encoded content.
-                            var reader = new FileReader();
-                            reader.addEventListener("loadend", function () {
-
-                                // If an error occurred we reject the Promise we made, else we carry on saving the file..
-                                if (reader.error) {
-                                    reject("Failed to read Bookalope data (" + reader.error.name + ")");
-                                } else {
-
-                                    // A returned data URL must match this pattern.
-                                    var matches = reader.result.match(/data:(.*);base64,(.*)/);
-                                    if (matches) {
-
-                                        // Get the MIME type of the content, and the Base64 encoded content data.
-                                        var mime = matches[1];
-                                        var data = matches[2];
-
-                                        // Write the content data. If all goes well, fulfill the Promise we made
-                                        // or reject it if writing failed.
-                                        var result = window.cep.fs.writeFile(filename, data, window.cep.encoding.Base64);
-                                        if (result.err) {
-                                            reject("Failed to write file (" + result.err + ")");
-                                        } else {
-                                            resolve(filename);
-                                        }
-                                    } else {
-                                        reject("Malformed data returned from Bookalope");
-                                    }
-                                }
-                            });
-                            reader.readAsDataURL(blob);
-                        })
-                        .catch(function (error) {
-                            reject(error);
-                        });
-                    } else if (status_ === "failed" || status_ === "none") {
-                        window.clearInterval(intervalID);
-                        reject(new BookalopeError("Failed to convert document to " + format + " ('" + style + "' style)"));
-                    } else {
-                        // Status is "processing", so do nothing and keep waiting.
-                    }
-                })
-                .catch(function (error) {
-                    reject(error);
+                    // Status "processing" means keep waiting.
+                    return status_ === "available" || status_ === "failed" || status_ === "none" ? status_ : undefined;
                 });
-            }, 5000, bookflow);
+            }, {
+                cancelToken: cancelToken,
+                onProgress: function () {
+                    // The server doesn't tell how far along it is, so there are no byte counts.
+                    if (onProgress) {
+                        onProgress("Converting");
+                    }
+                }
+            })
+            .then(function (status_) {
+
+                // Conversion succeeded, now download and save the converted file.
+                if (status_ === "available") {
+                    var downloadOptions = {
+                        cancelToken: cancelToken,
+                        onDownloadProgress: function (loaded, total) {
+                            if (onProgress) {
+                                onProgress("Downloading", loaded, total);
+                            }
+                        }
+                    };
+                    return bookflow.convert_download(format, downloadOptions)
+                    .then(function (blob) {
+                        return writeBlobToFile(blob, filename, cancelToken, function (written, total) {
+                            if (onProgress) {
+                                onProgress("Saving", written, total);
+                            }
+                        });
+                    });
+                } else {
+                    throw new BookalopeError("Failed to convert document to " + format + " ('" + style + "' style)");
+                }
+            });
+        })
+        .then(function (filename) {
+            delete busyConversions[key];
+            runConversionJobs();
+            resolve(filename);
         })
         .catch(function (error) {
+            delete busyConversions[key];
+            runConversionJobs();
             reject(error);
         });
     });
@@ -364,92 +737,423 @@ function saveBookflowFile(bookflow, format, style, filename) {
 
 
 /**
- * Given a Bookalope Bookflow object, converts the book into the given file format
- * and saves the converted file. Before saving we pop open a file dialog and ask the
- * user where to save the file.
- *
- * @param {Bookflow} bookflow - A valid Bookflow object referencing a server-side document conversion.
- * @param {string} format - Convert the given document to this format.
- * @param {string} style - The styling for the converted InDesign story.
+ * The export file formats that Bookalope converts into, as Format objects. These defaults
+ * are used until the Bookalope server told us its actual list of export formats.
  */
 
-function askSaveBookflowFile(bookflow, format, style) {
-    showStatus("Converting and downloading Bookalope file");
-    showSpinner();
+var exportFormats = [
+    new Format("epub3", "application/epub+zip", ["epub"]),
+    new Format("mobi", "application/x-mobipocket-ebook", ["mobi"]),
+    new Format("pdf", "application/pdf", ["pdf"]),
+    new Format("docbook", "application/docbook+xml", ["xml"]),
+    new Format("htmlbook", "text/html", ["html"]),
+    new Format("idml", "application/vnd.adobe.indesign-idml-package", ["idml"])
+];
 
-    // Ask the user where to save the downloaded file.
-    var filename = bookflow.id + "." + format;
-    var result;
-    result = window.cep.fs.showSaveDialogEx("Save " + format + " file...", "", [format], filename);
-    if (result.err) {
-        showClientError("Failed to open file dialog (" + result.err + ")");
-        hideSpinner();
-    } else {
 
-        // Save the downloaded file to the local host filesystem.
-        saveBookflowFile(bookflow, format, style, result.data)
-        .then(function (filename) {
-            showStatusOk();
-            hideSpinner();
-        })
-        .catch(function (error) {
-            showClientError(error);
-            hideSpinner();
-        });
-    }
-}
+/**
+ * How to present the export formats to the user: a readable label for each format, and
+ * the category it's grouped under in the format picker. Categories are listed in the
+ * order in which they're shown; formats we don't know are listed under "Other".
+ */
 
+var exportFormatCategories = ["Ebook", "Print", "Word processing", "XML", "Other"];
+var exportFormatInfo = {
+    "epub3": {label: "Ebook", category: "Ebook"},
+    "epub": {label: "Ebook (EPUB2)", category: "Ebook"},
+    "mobi": {label: "Ebook (Kindle)", category: "Ebook"},
+    "pdf": {label: "Print PDF", category: "Print"},
+    "idml": {label: "InDesign IDML", category: "Print"},
+    "icml": {label: "InCopy ICML", category: "Print"},
+    "docx": {label: "Word document", category: "Word processing"},
+    "docbook": {label: "DocBook XML", category: "XML"},
+    "htmlbook": {label: "HTMLBook XML", category: "XML"},
+    "tei": {label: "TEI XML", category: "XML"}
+};
 
-// This is where the magic begins.
-(function () {
 
-    // The BookalopeClient object that helps us talk to the server, and the Bookalope API token.
-    var bookalope;
-    var bookalopeToken;
-    var bookalopeBetaHost;
+/**
+ * Helper function that returns the label and category of the given export format.
+ *
+ * @param {string} format - An export format name, e.g. "epub3".
+ * @returns {object} The format's label and category.
+ */
 
-    // Tis where we keep the current inputs from the panel.
-    var bookFileType;
-    var bookFileName;
-    var bookFilePath;
-    var bookFile;
-    var bookName;
-    var bookAuthor;
-    var bookLanguage;
-    var bookCopyright;
-    var bookPubDate;
-    var bookIsbn;
-    var bookPublisher;
-    var bookVersion;
-    var bookAutoClean;
-    var bookHighlightIssues;
-    var bookSkipStructure;
+function getExportFormatInfo(format) {
+    return exportFormatInfo[format] || {label: format.toUpperCase(), category: "Other"};
+}
 
 
-    /**
-     * Helper function which returns an existing BookalopeClient object, or creates
-     * a new one.
-     *
-     * @returns {BookalopeClient}
-     */
+/**
+ * Helper function that returns the file name extensions of the given export format,
+ * the preferred one first. If we don't know the format then its name will do.
+ *
+ * @param {string} format - An export format name, e.g. "epub3".
+ * @returns {Array} A list of file name extensions, e.g. ["epub"].
+ */
 
-    function getBookalope() {
-        if (bookalope === undefined) {
-            bookalope = new BookalopeClient();
+function getExportFormatExts(format) {
+    var exts = [format];
+    exportFormats.forEach(function (exportFormat) {
+        if (exportFormat.name === format && exportFormat.fileExts && exportFormat.fileExts.length) {
+            exts = exportFormat.fileExts;
         }
-        bookalope.setToken(bookalopeToken);
-        bookalope.setHost(bookalopeBetaHost);
-        return bookalope;
-    }
+    });
+    return exts;
+}
 
 
-    /**
-     * After showing the Update panel, we need to make sure that the links responds to the
-     * correct and current Bookflow attached to the active InDesign document. This function
-     * updates the links of the panel to do exactly that.
-     *
-     * @param {Bookflow} bookflow - The Bookflow of the active document.
-     */
+/**
+ * Retrieve the export formats of the given Bookalope host that were stored by Chromium
+ * the last time we asked that host, or undefined if there are none.
+ *
+ * @param {string} host - The Bookalope host.
+ * @returns {Array} A list of Format objects, or undefined.
+ */
+
+function getCachedExportFormats(host) {
+    if (typeof localStorage === "object") {
+        try {
+            var cached = JSON.parse(localStorage.getItem("idsn_extension_bookalope_export_formats_" + host));
+            if (Array.isArray(cached) && cached.length) {
+                return cached.map(function (format) {
+                    return new Format(format.name, format.mime, format.exts);
+                });
+            }
+        } catch (exc) {
+            // Ignore a broken cache entry, it'll be overwritten eventually.
+        }
+    }
+    return undefined;
+}
+
+
+/**
+ * Store the export formats of the given Bookalope host for the next time the panel starts.
+ *
+ * @param {string} host - The Bookalope host.
+ * @param {Array} formats - A list of Format objects.
+ */
+
+function setCachedExportFormats(host, formats) {
+    if (typeof localStorage === "object") {
+        var cached = formats.map(function (format) {
+            return {name: format.name, mime: format.mime, exts: format.fileExts};
+        });
+        localStorage.setItem("idsn_extension_bookalope_export_formats_" + host, JSON.stringify(cached));
+    }
+}
+
+
+/**
+ * The conversion job queue of the Update panel. Every job converts a Bookflow into one
+ * file format and saves the converted file. At most `conversionJobsConcurrency` jobs run
+ * at the same time while the others wait their turn, so that the user can ask for several
+ * formats at once without flooding the Bookalope server. Jobs don't block the panel with
+ * the Spinner; instead, each job has its own CancelToken and status in the job list.
+ */
+
+var conversionJobs = [];
+var conversionJobsConcurrency = 2;
+
+
+/**
+ * Add a new job to the conversion job queue, and start it if there's room. If the same
+ * Bookflow is queued or being converted into the same format already, then no new job
+ * is added and that job is returned instead.
+ *
+ * @param {Bookflow} bookflow - A valid Bookflow object referencing a server-side document conversion.
+ * @param {string} format - Convert the given document to this format.
+ * @param {string} style - The styling for the converted document.
+ * @param {string} filename - The file name to save the converted file.
+ * @param {function} onSaved - Optional `onSaved(job)` callback when the file was saved.
+ * @returns {object} The new job, or the job that's queued or running already.
+ */
+
+function enqueueConversionJob(bookflow, format, style, filename, onSaved) {
+    var pending = conversionJobs.filter(function (job) {
+        return (job.status === "queued" || job.status === "running") && conversionKey(job.bookflow, job.format) === conversionKey(bookflow, format);
+    });
+    if (pending.length !== 0) {
+        return pending[0];
+    }
+    var job = {
+        bookflow: bookflow,
+        format: format,
+        style: style,
+        filename: filename,
+        onSaved: onSaved,
+        status: "queued",
+        message: "Waiting",
+        cancelToken: new CancelToken()
+    };
+    conversionJobs.push(job);
+    runConversionJobs();
+    return job;
+}
+
+
+/**
+ * Start as many queued conversion jobs as the concurrency limit allows, in the order
+ * in which they were queued. A job waits while its Bookflow is being converted into the
+ * same format elsewhere, e.g. for a refresh. Called whenever a job was added or has
+ * finished, and whenever the panel has finished a conversion of its own.
+ */
+
+function runConversionJobs() {
+    var running = conversionJobs.filter(function (job) {
+        return job.status === "running";
+    }).length;
+    conversionJobs.forEach(function (job) {
+        if (job.status === "queued" && running < conversionJobsConcurrency && !busyConversions[conversionKey(job.bookflow, job.format)]) {
+            running += 1;
+            startConversionJob(job);
+        }
+    });
+    renderConversionJobs();
+}
+
+
+/**
+ * Run the given conversion job, and update its status as it progresses. When the job
+ * has finished, one way or another, start the next one in the queue.
+ *
+ * @param {object} job - A queued conversion job.
+ */
+
+function startConversionJob(job) {
+    job.status = "running";
+    job.message = "Converting";
+    saveBookflowFile(job.bookflow, job.format, job.style, job.filename, job.cancelToken, function (label, loaded, total) {
+        job.message = label + (total ? " " + Math.floor(100 * loaded / total) + "%" : "");
+        renderConversionJobs();
+    })
+    .then(function (filename) {
+        job.status = "done";
+        job.message = "Saved";
+        showStatus("Saved " + filename);
+        if (job.onSaved) {
+            job.onSaved(job);
+        }
+    })
+    .catch(function (error) {
+        if (error instanceof BookalopeCancelError) {
+            job.status = "cancelled";
+            job.message = "Cancelled";
+        } else {
+            job.status = "failed";
+            job.message = error instanceof BookalopeError ? error.message : String(error);
+            showBookalopeError(error);
+        }
+    })
+    .then(function () {
+        runConversionJobs();
+    });
+}
+
+
+/**
+ * Cancel the given conversion job. A queued job won't start anymore, and a running
+ * job stops converting and downloading.
+ *
+ * @param {object} job - A conversion job.
+ */
+
+function cancelConversionJob(job) {
+    if (job.status === "queued") {
+        job.status = "cancelled";
+        job.message = "Cancelled";
+        renderConversionJobs();
+    } else if (job.status === "running") {
+        job.cancelToken.cancel();
+    }
+}
+
+
+/**
+ * Remove all finished (saved, failed, or cancelled) jobs from the conversion job queue.
+ */
+
+function clearConversionJobs() {
+    conversionJobs = conversionJobs.filter(function (job) {
+        return job.status === "queued" || job.status === "running";
+    });
+    renderConversionJobs();
+}
+
+
+/**
+ * Render the conversion job queue into the job list of the Update panel: one status
+ * light per job with the saved file's name and the job's status, and a link to cancel
+ * the job if it's not finished yet.
+ */
+
+function renderConversionJobs() {
+    var statusClasses = {
+        "queued": "spectrum-StatusLight--neutral",
+        "running": "spectrum-StatusLight--info",
+        "done": "spectrum-StatusLight--positive",
+        "failed": "spectrum-StatusLight--negative",
+        "cancelled": "spectrum-StatusLight--neutral"
+    };
+    var list = document.getElementById("conversion-jobs");
+    list.innerHTML = "";
+    conversionJobs.forEach(function (job) {
+        var item = document.createElement("li");
+        item.classList.add("jobs__item");
+
+        var status = document.createElement("span");
+        status.classList.add("jobs__status", "spectrum-StatusLight", "spectrum-StatusLight--sizeS", statusClasses[job.status]);
+        status.textContent = job.filename.split("/").pop().split("\\").pop() + ": " + job.message;
+        status.title = job.filename;
+        item.appendChild(status);
+
+        if (job.status === "queued" || job.status === "running") {
+            var cancel = document.createElement("a");
+            cancel.href = "#";
+            cancel.classList.add("jobs__cancel", "spectrum-Link", "spectrum-Link--quiet");
+            cancel.textContent = "Cancel";
+            cancel.addEventListener("click", function (event) {
+                event.preventDefault();
+                cancelConversionJob(job);
+            });
+            item.appendChild(cancel);
+        }
+        list.appendChild(item);
+    });
+    document.getElementById("conversion-jobs-wrapper").classList.toggle("hidden", conversionJobs.length === 0);
+}
+
+
+/**
+ * Given a Bookalope Bookflow object, ask the user where to save the converted file
+ * and then add a job to the conversion job queue which converts the book into the
+ * given file format and saves it.
+ *
+ * @param {Bookflow} bookflow - A valid Bookflow object referencing a server-side document conversion.
+ * @param {string} format - Convert the given document to this format.
+ * @param {string} style - The styling for the converted InDesign story.
+ * @param {function} onSaved - Optional `onSaved(job)` callback when the file was saved.
+ */
+
+function askSaveBookflowFile(bookflow, format, style, onSaved) {
+
+    // Ask the user where to save the downloaded file.
+    var exts = getExportFormatExts(format);
+    var filename = bookflow.id + "." + exts[0];
+    var result;
+    result = window.cep.fs.showSaveDialogEx("Save " + format + " file...", "", exts, filename);
+    if (result.err) {
+        showClientError("Failed to open file dialog (" + result.err + ")");
+    } else if (result.data) {
+
+        // Convert and save the file in the background.
+        var job = enqueueConversionJob(bookflow, format, style, result.data, onSaved);
+        showStatus((job.status === "running" ? "Converting to " : "Queued conversion to ") + format);
+    }
+}
+
+
+// This is where the magic begins.
+(function () {
+
+    // The BookalopeClient object that helps us talk to the server, and the Bookalope API token.
+    var bookalope;
+    var bookalopeToken;
+    var bookalopeBetaHost;
+
+    // Tis where we keep the current inputs from the panel.
+    var bookFileType;
+    var bookActiveDocumentFormat;
+    var bookActiveBook;
+    var bookStoryOrder;
+    var bookArticlesOnly;
+    var bookExclusionRules;
+    var bookFileName;
+    var bookFilePath;
+    var bookFileData;  // Base64 content of a prepared file whose temporary file is gone.
+    var bookFile;
+    var bookName;
+    var bookAuthor;
+    var bookLanguage;
+    var bookCopyright;
+    var bookPubDate;
+    var bookIsbn;
+    var bookPublisher;
+    var bookVersion;
+    var bookAutoClean;
+    var bookHighlightIssues;
+    var bookSkipStructure;
+    var bookStyle;
+
+    // The user's Books and Bookshelves as shown in the Library panel.
+    var libraryBooks = [];
+    var libraryBookshelves = [];
+
+    // The styles by format that are remembered for the active document.
+    var documentStyles = {};
+
+    // The revision history of the active document, and the Book to which the Upload panel
+    // adds a new Bookflow as a revision (or undefined to create a new Book).
+    var documentRevisions = [];
+    var documentHistory = [];
+
+    // The name of the InDesign Book if the active document is one of its chapters, whose
+    // Bookflow converts the whole Book; or an empty string for a standalone document.
+    var documentChapter = "";
+    var revisionBook;
+    var revisionDocName;
+    var bookRevisionOf;
+
+    // The Styles that the Bookalope server offers, by host and format.
+    var stylesCache = {};
+
+
+    /**
+     * Helper function which returns an existing BookalopeClient object, or creates
+     * a new one.
+     *
+     * @returns {BookalopeClient}
+     */
+
+    function getBookalope() {
+        if (bookalope === undefined) {
+            bookalope = new BookalopeClient();
+
+            // Let the user know that we're retrying a failed request, rather than
+            // leaving her wondering why the spinner keeps spinning.
+            bookalope.setRetryPolicy({
+                onRetry: function (error, attempt, delay) {
+                    showStatus("Connection problem, retrying in " + Math.ceil(delay / 1000) + "s (attempt " + attempt + ")");
+                }
+            });
+
+            // If the server speaks a newer (but compatible) API version, then tell the user
+            // once per server version that there's probably an update for this extension.
+            bookalope.setVersionNoticeHandler(function (serverVersion, clientVersion) {
+                var noticeKey = "idsn_extension_bookalope_version_notice";
+                if (typeof localStorage === "object" && localStorage.getItem(noticeKey) === serverVersion) {
+                    return;
+                }
+                showNotice("Bookalope API " + serverVersion + " is available (this extension uses " + clientVersion + "), please update the extension");
+                if (typeof localStorage === "object") {
+                    localStorage.setItem(noticeKey, serverVersion);
+                }
+            });
+        }
+        bookalope.setToken(bookalopeToken);
+        bookalope.setHost(bookalopeBetaHost);
+        return bookalope;
+    }
+
+
+    /**
+     * After showing the Update panel, we need to make sure that the links responds to the
+     * correct and current Bookflow attached to the active InDesign document. This function
+     * updates the links of the panel to do exactly that.
+     *
+     * @param {Bookflow} bookflow - The Bookflow of the active document.
+     */
 
     function setBookalopeLinks(bookflow) {
 
@@ -497,12 +1201,33 @@ function askSaveBookflowFile(bookflow, format, style) {
         });
         addClickListener(document.getElementById("button-download"), function () {
             var bookDownload = document.getElementById("input-book-download").value;
-            askSaveBookflowFile(bookflow, bookDownload, "default");
+            var bookDownloadStyle = document.getElementById("input-book-download-style").value;
+            askSaveBookflowFile(bookflow, bookDownload, bookDownloadStyle, recordConversion());
+            return false;
+        });
+        addClickListener(document.getElementById("button-download-all"), function () {
+            var formats = Array.from(document.querySelectorAll("input[name='input-book-formats']:checked")).map(function (input) {
+                return input.value;
+            });
+            askSaveBookflowFiles(bookflow, formats);
+            return false;
+        });
+        addClickListener(document.getElementById("button-revision"), function () {
+            startRevision(bookflow);
+            return false;
+        });
+        addClickListener(document.getElementById("button-compare"), function () {
+            var cancelToken = showSpinner();
+            compare(bookflow, cancelToken);
             return false;
         });
         addClickListener(document.getElementById("button-refresh"), function () {
-            showSpinner();
-            convert(bookflow);
+            var cancelToken = showSpinner();
+            if (document.getElementById("input-refresh-in-place").checked && !documentChapter) {
+                refresh(bookflow, cancelToken);
+            } else {
+                convert(bookflow, {"styles": documentStyles, "revisions": documentRevisions, "history": documentHistory}, cancelToken);
+            }
             return false;
         });
 
@@ -520,31 +1245,271 @@ function askSaveBookflowFile(bookflow, format, style) {
     }
 
 
+    /**
+     * Populate the format picker and the format checkboxes of the Update panel with the
+     * given export formats, grouped by category. The selected format and the checked
+     * formats are kept, if they're still available.
+     *
+     * @param {Array} formats - A list of Format objects.
+     */
+
+    function renderExportFormats(formats) {
+        exportFormats = formats;
+
+        // Group the formats by their category.
+        var groups = {};
+        formats.forEach(function (format) {
+            var category = getExportFormatInfo(format.name).category;
+            if (exportFormatCategories.indexOf(category) === -1) {
+                category = "Other";
+            }
+            (groups[category] = groups[category] || []).push(format);
+        });
+
+        // Rebuild the <select> element's options in groups, and then its Dropdown.
+        var select = document.getElementById("input-book-download");
+        var selected = select.value || "epub3";
+        select.innerHTML = "";
+        exportFormatCategories.forEach(function (category) {
+            if (groups[category]) {
+                var optgroup = document.createElement("optgroup");
+                optgroup.label = category;
+                groups[category].forEach(function (format) {
+                    var option = document.createElement("option");
+                    option.value = format.name;
+                    option.textContent = getExportFormatInfo(format.name).label;
+                    option.selected = format.name === selected;
+                    optgroup.appendChild(option);
+                });
+                select.appendChild(optgroup);
+            }
+        });
+        buildDropdown(select);
+
+        // Rebuild the checkboxes to download several formats at once, in the same order.
+        var fieldGroup = document.getElementById("input-book-formats");
+        var checked = Array.from(fieldGroup.querySelectorAll("input:checked")).map(function (input) {
+            return input.value;
+        });
+        var template = fieldGroup.querySelector(".spectrum-Checkbox");
+        fieldGroup.innerHTML = "";
+        exportFormatCategories.forEach(function (category) {
+            (groups[category] || []).forEach(function (format) {
+                var checkbox = template.cloneNode(true);
+                var input = checkbox.querySelector("input");
+                input.value = format.name;
+                input.checked = checked.indexOf(format.name) !== -1;
+                checkbox.querySelector(".spectrum-Checkbox-label").textContent = getExportFormatInfo(format.name).label;
+                fieldGroup.appendChild(checkbox);
+            });
+        });
+    }
+
+
+    /**
+     * Ask the Bookalope server for its export formats, remember them for next time, and
+     * update the Update panel with them. Without a token we can't ask, and if asking fails
+     * then we quietly continue with the formats we already have.
+     */
+
+    function loadExportFormats() {
+        if (!isToken(bookalopeToken)) {
+            return;
+        }
+        var bookalope = getBookalope();
+        var host = bookalope.getHost();
+        bookalope.getExportFormats()
+        .then(function (formats) {
+            if (formats.length) {
+                setCachedExportFormats(host, formats);
+                renderExportFormats(formats);
+                updateStylePickers();
+            }
+        })
+        .catch(function (error) {
+            // Keep the formats we have.
+        });
+    }
+
+
+    /**
+     * Get the Styles that the Bookalope server offers for the given format. Returns a
+     * Promise that is fulfilled with a list of Style objects; the list is asked for only
+     * once per host and format. If there's no token or asking fails, then the Promise is
+     * fulfilled with just the default style.
+     *
+     * @param {string} format - An export format name, e.g. "idml".
+     * @returns {Promise}
+     */
+
+    function getStyles(format) {
+        var defaultStyles = [new Style(format, {name: "default", info: {name: "Default"}})];
+        if (!isToken(bookalopeToken)) {
+            return Promise.resolve(defaultStyles);
+        }
+        var bookalope = getBookalope();
+        var key = bookalope.getHost() + " " + format;
+        if (stylesCache[key] === undefined) {
+            stylesCache[key] = bookalope.getStyles(format)
+            .then(function (styles) {
+                return styles.length ? styles : defaultStyles;
+            })
+            .catch(function (error) {
+                delete stylesCache[key];
+                return defaultStyles;
+            });
+        }
+        return stylesCache[key];
+    }
+
+
+    /**
+     * Populate the given style picker with the Styles for the given format, and select
+     * the given style if it's available or else the default style.
+     *
+     * @param {Element} select - The <select> element of a style picker.
+     * @param {string} format - An export format name, e.g. "idml".
+     * @param {string} selected - The short name of the style to select.
+     */
+
+    function renderStyles(select, format, selected) {
+        getStyles(format)
+        .then(function (styles) {
+            select.innerHTML = "";
+            styles.forEach(function (style) {
+                var option = document.createElement("option");
+                option.value = style.shortName;
+                option.textContent = style.name;
+                option.title = style.description || "";
+                option.selected = style.shortName === (selected || "default");
+                select.appendChild(option);
+            });
+            buildDropdown(select);
+        });
+    }
+
+
+    /**
+     * Populate the Update panel's style picker for the currently selected download format,
+     * and the Upload panel's style picker for the initial IDML.
+     */
+
+    function updateStylePickers() {
+        var format = document.getElementById("input-book-download").value;
+        renderStyles(document.getElementById("input-book-download-style"), format, documentStyles[format]);
+        renderStyles(document.getElementById("input-book-style"), "idml", document.getElementById("input-book-style").value);
+    }
+
+
+    /**
+     * Remember the given style for the given format with the active document, so that
+     * the style is preselected the next time the document is active.
+     *
+     * @param {string} format - An export format name, e.g. "epub3".
+     * @param {string} style - The short name of the style.
+     */
+
+    function rememberDocumentStyle(format, style) {
+        documentStyles[format] = style;
+        var script = "bookalopeAddDocumentDataToActive('styles', " + JSON.stringify(documentStyles) + ");";
+        csInterface.evalScript(script, function (result) {
+            if (result === EvalScript_ErrMessage) {
+                showClientError("Failed to remember style: " + result);
+            }
+        });
+    }
+
+
+    /**
+     * Given the Bookflow, ask the user for an output folder and then add one job per given
+     * file format to the conversion job queue. The converted files are saved into that
+     * folder, named after the Bookflow. The chosen folder is remembered for next time.
+     * Every format is converted using the style remembered for the active document.
+     *
+     * @param {Bookflow} bookflow - The Bookflow.
+     * @param {Array} formats - The file formats to convert to.
+     */
+
+    function askSaveBookflowFiles(bookflow, formats) {
+        clearErrors();
+        if (formats.length === 0) {
+            showElementError(document.querySelector("input[name='input-book-formats']"), "Choose at least one format");
+            return;
+        }
+
+        // Ask the user where to save the downloaded files.
+        var folderKey = "idsn_extension_bookalope_output_folder";
+        var folder = typeof localStorage === "object" ? localStorage.getItem(folderKey) || "" : "";
+        var result = window.cep.fs.showOpenDialogEx(false, true, "Choose output folder", folder, []);
+        if (result.err) {
+            showClientError("Failed to open folder dialog (" + result.err + ")");
+        } else if (result.data && result.data.length) {
+            folder = result.data[0];
+            if (typeof localStorage === "object") {
+                localStorage.setItem(folderKey, folder);
+            }
+
+            // Convert and save the files in the background.
+            formats.forEach(function (format) {
+                var filename = folder + config.fs.separator + bookflow.id + "." + getExportFormatExts(format)[0];
+                enqueueConversionJob(bookflow, format, documentStyles[format] || "default", filename, recordConversion());
+            });
+            showStatus("Queued conversion to " + formats.join(", "));
+        }
+    }
+
+
     /**
      * Given the Bookflow, convert and download an IDML file and write that file to the
-     * local file system as a temporary file. Then invoke the InDesign side and open that
-     * IDML file as a new document there. When that returns, delete the IDML file.
+     * local file system as a temporary file. Returns a Promise that is fulfilled with the
+     * temporary file's name, or rejected with an error.
      *
      * @param {Bookflow} bookflow - The Bookflow.
+     * @param {string} style - The styling for the IDML, or undefined for the default style.
+     * @param {CancelToken} cancelToken - Cancels the conversion and download.
+     * @returns {Promise}
      */
 
-    function convert(bookflow) {
+    function downloadIDML(bookflow, style, cancelToken) {
         showStatus("Converting and downloading file");
 
         // Produce a random file name to unique the IDML file.
         var fpath = config.fs.tmp + config.fs.separator + makeUUID4() + ".idml";
+        return saveBookflowFile(bookflow, "idml", style || "default", fpath, cancelToken, showProgress);
+    }
+
+
+    /**
+     * Given the Bookflow, convert and download an IDML file and write that file to the
+     * local file system as a temporary file. Then invoke the InDesign side and open that
+     * IDML file as a new document there. When that returns, delete the IDML file.
+     * The given data is stored with the new document: the IDML is converted using its
+     * "idml" style, and its revision history is that of the document. The conversion is
+     * added to the document's conversion history.
+     *
+     * @param {Bookflow} bookflow - The Bookflow.
+     * @param {object} data - The document's styles by format, revisions and history, e.g. {"styles": {"idml": "default"}, "revisions": [], "history": []}.
+     * @param {CancelToken} cancelToken - Cancels the conversion and download.
+     */
+
+    function convert(bookflow, data, cancelToken) {
+        var styles = data.styles || {};
+        var revisions = data.revisions || [];
+        var uploaded = revisions.length ? revisions[revisions.length - 1].uploaded : undefined;
+        data.history = (data.history || []).concat([createHistoryEntry(bookflow, "idml", styles.idml, uploaded)]);
 
         // Convert the given Bookflow's document to IDML, and save it as a temporary file.
-        saveBookflowFile(bookflow, "idml", "default", fpath)
+        downloadIDML(bookflow, styles.idml, cancelToken)
         .then(function (filename) {
+            hideProgress();
             showStatus("Building InDesign document");
 
             // Create the new document on the InDesign side, and pass the Book and Bookflow
-            // IDs along to store them with the document. That way, we can update the panel
-            // based on the currently active InDesign document. Note that we need to escape
-            // backslash characters in the path string to make sure they arrive safely on the
-            // other side in application/JSX land!
-            var script = "bookalopeCreateDocument('" + filename.replace(/\\/g, "\\\\") + "', '" + bookflow.book.id + "', '" + bookflow.id + "', " + bookalopeBetaHost + ");";
+            // IDs and the other data along to store them with the document. That way, we can
+            // update the panel based on the currently active InDesign document. Note that we
+            // need to escape backslash characters in the path string to make sure they arrive
+            // safely on the other side in application/JSX land!
+            var script = "bookalopeCreateDocument('" + filename.replace(/\\/g, "\\\\") + "', '" + bookflow.book.id + "', '" + bookflow.id + "', " + bookalopeBetaHost + ", " + JSON.stringify(data) + ");";
             csInterface.evalScript(script, function (result) {
 
                 // Check for errors during evalScript. Note that the EvalScript_ErrMessage
@@ -552,7 +1517,7 @@ function askSaveBookflowFile(bookflow, format, style) {
                 // if that was scoped though.
                 if (result === EvalScript_ErrMessage) {
                     showClientError("Failed to build document: " + result);
-                    hideSpinner();
+                    hideSpinner(cancelToken);
                 } else {
 
                     // Delete the temporary IDML file.
@@ -566,14 +1531,265 @@ function askSaveBookflowFile(bookflow, format, style) {
                     setBookalopeLinks(bookflow);
                     showUpdate();
                     showStatusOk();
-                    hideSpinner();
+                    hideSpinner(cancelToken);
+                }
+            });
+        })
+        .catch(function (error) {
+            showBookalopeError(error);
+            hideSpinner(cancelToken);
+        });
+    }
+
+
+    /**
+     * Helper function that formats the report of a refresh, as returned by the InDesign
+     * side, into a readable summary.
+     *
+     * @param {object} report - The report of the refresh.
+     * @returns {string} The summary as HTML.
+     */
+
+    function formatRefreshReport(report) {
+        var lines = [];
+        report.stories.forEach(function (story) {
+            var changes = [];
+            if (story.inserted) {
+                changes.push(story.inserted + " added");
+            }
+            if (story.deleted) {
+                changes.push(story.deleted + " removed");
+            }
+            if (story.restyled) {
+                changes.push(story.restyled + " restyled");
+            }
+            var name = escapeHTML(story.name);
+            lines.push("Story " + (story.index + 1) + " (" + name + "): " + changes.join(", ") + " paragraphs" + (story.overset ? ", text overflows" : ""));
+        });
+        if (report.added) {
+            lines.push(report.added + " new stories on the server were not placed");
+        }
+        if (report.removed) {
+            lines.push(report.removed + " stories were removed on the server, but their frames were kept");
+        }
+        if (lines.length === 0) {
+            lines.push("No changes");
+        }
+        return lines.join("<br>");
+    }
+
+
+    /**
+     * Helper function that creates an entry of a document's conversion history, which
+     * records when and how the given Bookflow was converted.
+     *
+     * @param {Bookflow} bookflow - The converted Bookflow.
+     * @param {string} format - The format the Bookflow was converted to, e.g. "idml".
+     * @param {string} style - The short name of the style.
+     * @param {string} uploaded - When the Bookflow's document was uploaded, as ISO string.
+     * @returns {object} The history entry.
+     */
+
+    function createHistoryEntry(bookflow, format, style, uploaded) {
+        return {
+            "uploaded": uploaded,
+            "converted": new Date().toISOString(),
+            "bookflow-id": bookflow.id,
+            "format": format,
+            "style": style || "default",
+            "host": getBookalope().getHost(),
+            "extension": getExtensionVersion()
+        };
+    }
+
+
+    /**
+     * Append the given entry to the conversion history of the document with the given
+     * name, and let the user know if that failed.
+     *
+     * @param {string} docName - The name of the document.
+     * @param {object} entry - The history entry, see `createHistoryEntry()`.
+     */
+
+    function addHistoryEntry(docName, entry) {
+        if (docName === document.getElementById("input-active-document").value) {
+            documentHistory = documentHistory.concat([entry]);
+        }
+        var script = "bookalopeAddDocumentHistoryByName(" + JSON.stringify(docName) + ", " + JSON.stringify(entry["bookflow-id"]) + ", " + JSON.stringify(entry) + ");";
+        csInterface.evalScript(script, function (result) {
+            if (result === EvalScript_ErrMessage || JSON.parse(result) === false) {
+                showClientError("Failed to add conversion to the history of document " + docName);
+            }
+        });
+    }
+
+
+    /**
+     * Return an `onSaved(job)` callback for the conversion job queue that records a saved
+     * conversion of the active document's Bookflow in the document's history, see
+     * `enqueueConversionJob()`. The document is remembered now, because the user may have
+     * switched documents by the time the job is done.
+     *
+     * @returns {function}
+     */
+
+    function recordConversion() {
+        var docName = document.getElementById("input-active-document").value;
+        var revision = documentRevisions[documentRevisions.length - 1];
+        var uploaded = revision ? revision.uploaded : undefined;
+        return function (job) {
+            addHistoryEntry(docName, createHistoryEntry(job.bookflow, job.format, job.style, uploaded));
+        };
+    }
+
+
+    /**
+     * Given the Bookflow, convert and download a fresh IDML file, and then update the
+     * active InDesign document in place with the changes from that IDML rather than
+     * opening it as a new document. Show the user a report of what changed. The document
+     * is addressed by name, because the user may switch documents in the meantime.
+     *
+     * @param {Bookflow} bookflow - The Bookflow of the active document.
+     * @param {CancelToken} cancelToken - Cancels the conversion and download.
+     */
+
+    function refresh(bookflow, cancelToken) {
+        var docName = document.getElementById("input-active-document").value;
+        var revision = documentRevisions[documentRevisions.length - 1];
+        var entry = createHistoryEntry(bookflow, "idml", documentStyles.idml, revision ? revision.uploaded : undefined);
+        downloadIDML(bookflow, documentStyles.idml, cancelToken)
+        .then(function (filename) {
+            hideProgress();
+            showStatus("Updating InDesign document");
+
+            // Update the document on the InDesign side. Note that InDesign can't be
+            // interrupted anymore, so cancelling won't stop the update.
+            var script = "bookalopeRefreshDocumentByName(" + JSON.stringify(docName) + ", " + JSON.stringify(bookflow.id) + ", " + JSON.stringify(filename) + ");";
+            csInterface.evalScript(script, function (result) {
+                window.cep.fs.deleteFile(filename);
+                if (result === EvalScript_ErrMessage) {
+                    showClientError("Failed to update document: " + result);
+                } else {
+                    var report = JSON.parse(result);
+                    if (report === false) {
+                        showClientError("Failed to update document");
+                    } else {
+                        showNotice(formatRefreshReport(report));
+                        showStatusOk();
+
+                        // Keep a record of the refresh in the document's conversion history.
+                        addHistoryEntry(docName, entry);
+                    }
+                }
+                hideSpinner(cancelToken);
+            });
+        })
+        .catch(function (error) {
+            showBookalopeError(error);
+            hideSpinner(cancelToken);
+        });
+    }
+
+
+    /**
+     * Given the Bookflow, convert and download a fresh IDML file and compare it with the
+     * active InDesign document, paragraph by paragraph. Then show the changes that a
+     * refresh would apply in the Update panel's diff view.
+     *
+     * @param {Bookflow} bookflow - The Bookflow of the active document.
+     * @param {CancelToken} cancelToken - Cancels the conversion and download.
+     */
+
+    function compare(bookflow, cancelToken) {
+        var docName = document.getElementById("input-active-document").value;
+        downloadIDML(bookflow, documentStyles.idml, cancelToken)
+        .then(function (filename) {
+            hideProgress();
+            showStatus("Comparing InDesign document");
+            var script = "bookalopeDiffDocumentByName(" + JSON.stringify(docName) + ", " + JSON.stringify(bookflow.id) + ", " + JSON.stringify(filename) + ");";
+            csInterface.evalScript(script, function (result) {
+                window.cep.fs.deleteFile(filename);
+                if (result === EvalScript_ErrMessage) {
+                    showClientError("Failed to compare document: " + result);
+                } else {
+                    var diff = JSON.parse(result);
+                    if (diff === false) {
+                        showClientError("Failed to compare document");
+                    } else {
+                        renderDiff(diff, docName, bookflow.id);
+                        showStatusOk();
+                    }
                 }
+                hideSpinner(cancelToken);
             });
         })
         .catch(function (error) {
-            showServerError(error.message);
-            hideSpinner();
+            showBookalopeError(error);
+            hideSpinner(cancelToken);
+        });
+    }
+
+
+    /**
+     * Render the changes between the given document and the fresh IDML into the diff
+     * view: for every changed story a heading, and then its inserted, deleted, and restyled
+     * paragraphs. Clicking a paragraph selects the corresponding paragraph in the document.
+     *
+     * @param {object} diff - The changes as returned by the InDesign side.
+     * @param {string} docName - The name of the compared document.
+     * @param {string} bookflowId - The id of the compared document's Bookflow.
+     */
+
+    function renderDiff(diff, docName, bookflowId) {
+        var list = document.getElementById("diff-list");
+        list.innerHTML = "";
+
+        // Helper function that creates an element with the given classes and text.
+        function createElement(tagName, classNames, text) {
+            var element = document.createElement(tagName);
+            element.className = classNames;
+            if (text !== undefined) {
+                element.textContent = text;
+            }
+            return element;
+        }
+
+        diff.stories.forEach(function (story) {
+            var section = createElement("div", "diff__story");
+            section.appendChild(createElement("h3", "diff__story-name spectrum-Heading spectrum-Heading--sizeXS", "Story " + (story.index + 1) + ": " + story.name));
+            section.appendChild(createElement("p", "diff__story-summary spectrum-Detail spectrum-Detail--sizeS", story.changes.length + " changed, " + story.unchanged + " unchanged paragraphs"));
+            var changes = createElement("ul", "diff__changes");
+            story.changes.forEach(function (change) {
+                var item = createElement("li", "diff__change diff__change--" + change.op + " spectrum-Body spectrum-Body--sizeXS");
+                var style = change.op === "style" ? change.oldStyle + " \u2192 " + change.style : change.style;
+                item.appendChild(createElement("span", "diff__style", style));
+                item.appendChild(createElement("span", "diff__text", change.text || "(empty paragraph)"));
+                item.title = {"insert": "Added on the server", "delete": "Removed on the server", "style": "Restyled on the server"}[change.op] + ", click to show in the document";
+                item.addEventListener("click", function () {
+                    var script = "bookalopeShowParagraphInDocument(" + JSON.stringify(docName) + ", " + JSON.stringify(bookflowId) + ", " + story.id + ", " + change.oldIndex + ");";
+                    csInterface.evalScript(script, function (result) {
+                        if (result === EvalScript_ErrMessage || JSON.parse(result) === false) {
+                            showClientError("Failed to find the paragraph in the document");
+                        }
+                    });
+                });
+                changes.appendChild(item);
+            });
+            section.appendChild(changes);
+            list.appendChild(section);
         });
+
+        // Stories that can't be compared.
+        if (diff.added) {
+            list.appendChild(createElement("p", "diff__note spectrum-Body spectrum-Body--sizeXS", diff.added + " new stories on the server"));
+        }
+        if (diff.removed) {
+            list.appendChild(createElement("p", "diff__note spectrum-Body spectrum-Body--sizeXS", diff.removed + " stories removed on the server"));
+        }
+        if (list.children.length === 0) {
+            list.appendChild(createElement("p", "diff__note spectrum-Body spectrum-Body--sizeS", "The document is up to date"));
+        }
+        document.getElementById("diff-wrapper").classList.remove("hidden");
     }
 
 
@@ -585,17 +1801,17 @@ function askSaveBookflowFile(bookflow, format, style) {
      * the analysis succeeded, continue to convert and download the IDML for this document.
      *
      * @param {Bookflow} bookflow - The Bookflow.
-     *
+     * @param {CancelToken} cancelToken - Cancels the upload, analysis, and conversion.
      */
 
-    function uploadFile(bookflow) {
+    function uploadFile(bookflow, cancelToken) {
         showStatus("Uploading and analyzing document");
 
         // Read the book file, either the selected one or the created one.
-        var result = window.cep.fs.readFile(bookFilePath, window.cep.encoding.Base64);
+        var result = bookFileData !== undefined ? {err: window.cep.fs.NO_ERROR, data: bookFileData} : window.cep.fs.readFile(bookFilePath, window.cep.encoding.Base64);
         if (result.err) {
             showElementError(document.getElementById("input-file"), "Unable to load file (" + result.err + ")");
-            hideSpinner();
+            hideSpinner(cancelToken);
         } else {
 
             // Passing `undefined` as document type to setDocument() causes the server to
@@ -603,59 +1819,161 @@ function askSaveBookflowFile(bookflow, format, style) {
             // base-64 encoded binary, so we have to decode it before passing it to the
             // Bookalope wrapper. The wrapper will then encode it (again) before shipping
             // it off to the server.
-            bookflow.setDocument(bookFileName, atob(result.data), undefined, bookSkipStructure, bookUploadOptions)
+            var requestOptions = {cancelToken: cancelToken};
+            var uploadOptions = {
+                cancelToken: cancelToken,
+                onUploadProgress: function (loaded, total) {
+                    showProgress("Uploading", loaded, total);
+                }
+            };
+            var filetype = bookFileType === "active-document" && bookActiveDocumentFormat === "idml" ? "idml" : undefined;
+            bookflow.setDocument(bookFileName, atob(result.data), filetype, bookSkipStructure, bookUploadOptions, uploadOptions)
+            .then(function (bookflow) {
+
+                // Uploading is done, analysis may take a while though.
+                hideProgress();
+                showStatus("Analyzing document");
+
+                // Periodically poll the Bookalope server to update the Bookflow. Then check
+                // the step property for the current processing status of the Bookalope, and
+                // act accordingly. Stop polling if the user cancels.
+                return poll(function () {
+                    return bookflow.update(requestOptions)
+                    .then(function (bookflow) {
+                        if (bookflow.step === "processing_failed" || bookflow.step === "convert") {
+                            return bookflow;
+                        }
+                        return undefined;  // Bookalope is still processing, keep waiting.
+                    });
+                }, {
+                    cancelToken: cancelToken,
+                    onProgress: function (attempt, elapsed) {
+                        showStatus("Analyzing document (" + Math.round(elapsed / 1000) + "s)");
+                    }
+                });
+            })
             .then(function (bookflow) {
+                if (bookflow.step === "processing_failed") {
+                    showServerError("Bookalope failed to process the document");
+                    hideSpinner(cancelToken);
+                } else {
+                    var revisions = (bookRevisionOf ? bookRevisionOf.revisions : []).concat([{
+                        "bookflow-id": bookflow.id,
+                        "name": bookflow.name,
+                        "uploaded": new Date().toISOString()
+                    }]);
+                    var history = bookRevisionOf ? bookRevisionOf.history : [];
+
+                    // The document that was revised keeps the complete revision history too.
+                    if (bookRevisionOf) {
+                        var docName = bookRevisionOf.docName;
+                        var script = "bookalopeAddDocumentDataToName(" + JSON.stringify(docName) + ", 'revisions', " + JSON.stringify(revisions) + ");";
+                        csInterface.evalScript(script, function (result) {
+                            if (result === EvalScript_ErrMessage || JSON.parse(result) === false) {
+                                showClientError("Failed to add revision to document " + docName);
+                            }
+                        });
+                    }
 
-                // Periodically poll the Bookalope server to update the Bookflow. Then check
-                // the step property for the current processing status of the Bookalope, and
-                // act accordingly.
-                var intervalID = window.setInterval(function (bookflow) {
-                    bookflow.update()
-                    .then(function (bookflow) {
-                        if (bookflow.step === "processing") {
-                            // Bookalope is still processing, keep waiting.
-                        } else if (bookflow.step === "processing_failed") {
-                            window.clearInterval(intervalID);
-                            showServerError("Bookalope failed to process the document");
-                            hideSpinner();
-                        } else if (bookflow.step === "convert") {
-                            window.clearInterval(intervalID);
-                            convert(bookflow);
-                        }
-                    })
-                    .catch(function (error) {
-                        window.clearInterval(intervalID);
-                        showServerError(error.message);
-                        hideSpinner();
-                    });
-                }, 5000, bookflow);
+                    // Let the InDesign Book and its chapters know which Bookflow they became.
+                    if (bookFileType === "active-book") {
+                        var bookData = {
+                            "book-id": bookflow.book.id,
+                            "bookflow-id": bookflow.id,
+                            "beta": bookalopeBetaHost,
+                            "styles": {"idml": bookStyle},
+                            "revisions": revisions,
+                            "history": [createHistoryEntry(bookflow, "idml", bookStyle, revisions[revisions.length - 1].uploaded)]
+                        };
+                        var bookName = bookActiveBook;
+                        csInterface.evalScript("bookalopeSetBookDataByName(" + JSON.stringify(bookName) + ", " + JSON.stringify(bookData) + ");", function (result) {
+                            if (result === EvalScript_ErrMessage || JSON.parse(result) === false) {
+                                showClientError("Failed to store Bookalope data with book " + bookName);
+                            }
+                        });
+                    }
+                    convert(bookflow, {"styles": {"idml": bookStyle}, "revisions": revisions, "history": history}, cancelToken);
+                }
             })
             .catch(function (error) {
-                showServerError(error.message);
-                hideSpinner();
+                showBookalopeError(error);
+                hideSpinner(cancelToken);
             });
         }
     }
 
 
+    /**
+     * Set the Book to which the Upload panel adds the uploaded document as a revision,
+     * and show the user which Book that is; or, if the given Book is undefined, then
+     * the Upload panel creates a new Book.
+     *
+     * @param {Book} book - The Book to revise, or undefined.
+     * @param {string} name - The Book's name.
+     */
+
+    function setRevisionBook(book, name) {
+        revisionBook = book;
+        document.getElementById("revision-book-name").textContent = name || "";
+        document.getElementById("div-revision").classList.toggle("hidden", book === undefined);
+    }
+
+
+    /**
+     * The user wants to upload a revised manuscript of the given Bookflow's Book. Switch to
+     * the Upload panel and prefill it with the Bookflow's metadata, ready to upload the
+     * revision as a new Bookflow of that same Book.
+     *
+     * @param {Bookflow} bookflow - The Bookflow of the active document.
+     */
+
+    function startRevision(bookflow) {
+        showUpload();
+        setRevisionBook(bookflow.book, bookflow.title || bookflow.name);
+        revisionDocName = document.getElementById("input-active-document").value;
+        document.getElementById("input-book-name").value = bookflow.title || "";
+        document.getElementById("input-book-author").value = bookflow.author || "";
+        document.getElementById("input-book-copyright").value = bookflow.copyright || "";
+        document.getElementById("input-book-isbn").value = bookflow.isbn || "";
+        document.getElementById("input-book-publisher").value = bookflow.publisher || "";
+        showStatus("Upload the revised document");
+    }
+
+
     /**
      * Create a new Book and Bookflow on the Bookalope server, and the start uploading
-     * and converting the user's document.
+     * and converting the user's document. If the user uploads a revision, then create
+     * only a new Bookflow for the existing Book instead.
+     *
+     * @param {CancelToken} cancelToken - Cancels creating, uploading, and converting.
      */
 
-    function createBook() {
-        showStatus("Creating Book and Bookflow");
+    function createBook(cancelToken) {
 
         // Get the BookalopeClient object.
         var bookalope = getBookalope();
 
         // Create a new Book, which then contains an empty Bookflow. That is the
         // Bookfow we'll work with. Note that the user will see both Book and Bookflow
-        // when she logs into the website.
-        bookalope.createBook(bookName)
-        .then(function (book) {
-            var bookflow = book.bookflows[0];
-            bookflow.name = bookName;
+        // when she logs into the website. For a revision, add a new Bookflow to the
+        // existing Book and work with that one.
+        var requestOptions = {cancelToken: cancelToken};
+        var created;
+        if (bookRevisionOf) {
+            showStatus("Creating Bookflow for revision");
+            var name = "Revision " + (bookRevisionOf.revisions.length + 1);
+            created = bookRevisionOf.book.createBookflow(name, bookName, requestOptions);
+        } else {
+            showStatus("Creating Book and Bookflow");
+            created = bookalope.createBook(bookName, undefined, requestOptions)
+            .then(function (book) {
+                var bookflow = book.bookflows[0];
+                bookflow.name = bookName;
+                return bookflow;
+            });
+        }
+        created
+        .then(function (bookflow) {
             bookflow.title = bookName;
             bookflow.author = bookAuthor;
             bookflow.copyright = bookCopyright;
@@ -663,32 +1981,37 @@ function askSaveBookflowFile(bookflow, format, style) {
             bookflow.language = bookLanguage;
             bookflow.pubdate = bookPubDate;
             bookflow.publisher = bookPublisher;
-            bookflow.save()
+            bookflow.save(requestOptions)
             .then(function () {
 
                 // If the user wants to apply a plan credit to this Bookflow, then do
                 // so now before we upload the file to the server. If that fails, just
                 // continue and let the user sort it out through the website later.
                 if (bookCredit) {
-                    bookflow.setCredit("pro")
+                    bookflow.setCredit("pro", requestOptions)
                     .then(function () {
-                        uploadFile(bookflow);
+                        uploadFile(bookflow, cancelToken);
                     })
                     .catch(function (error) {
-                        uploadFile(bookflow);
+                        if (error instanceof BookalopeCancelError) {
+                            showBookalopeError(error);
+                            hideSpinner(cancelToken);
+                        } else {
+                            uploadFile(bookflow, cancelToken);
+                        }
                     });
                 } else {
-                    uploadFile(bookflow);
+                    uploadFile(bookflow, cancelToken);
                 }
             })
             .catch(function (error) {
-                showServerError(error.message);
-                hideSpinner();
+                showBookalopeError(error);
+                hideSpinner(cancelToken);
             });
         })
         .catch(function (error) {
-            showServerError(error.message);
-            hideSpinner();
+            showBookalopeError(error);
+            hideSpinner(cancelToken);
         });
     }
 
@@ -699,35 +2022,146 @@ function askSaveBookflowFile(bookflow, format, style) {
      */
 
     function createBookFromSelectedFile() {
-        showSpinner();
+        var cancelToken = showSpinner();
 
         bookFileName = bookFile.name;
         bookFilePath = bookFile.path;
-        createBook();
+        createBook(cancelToken);
     }
 
 
     /**
-     * The user wants to upload the currently active document. Because Bookalope doesn't
-     * support InDesign file formats (will it ever?) we first save the active document as
-     * a local RTF file and then upload that RTF file to Bookalope.
+     * The user wants to upload the currently active document. Bookalope doesn't support
+     * InDesign documents, so we first save the active document as a local file and then
+     * upload that file to Bookalope: either an RTF file into which the document's stories
+     * are flattened, or an IDML file which keeps the document's structure.
      */
 
     function createBookFromActiveDocument() {
-        showSpinner();
+        var cancelToken = showSpinner();
         showStatus("Preparing active document");
 
-        // Noodle through the active document to create an RTF file, and save that.
-        // If everything went well, create the Book and upload the file.
-        csInterface.evalScript("bookalopeActiveDocumentToRTF();", function (result) {
-            bookFilePath = JSON.parse(result);
-            if (bookFilePath === false) {
-                showElementError(document.getElementById("input-active-document"), "Failed to prepare active document");
-                hideSpinner();
+        // Noodle through the active document to create an RTF or IDML file, and save that.
+        // If everything went well, create the Book and upload the file. InDesign can't
+        // be interrupted, but if the user cancelled in the meantime then stop here.
+        var options = JSON.stringify({"order": bookStoryOrder, "articlesOnly": bookArticlesOnly, "exclude": bookExclusionRules});
+        var script = (bookActiveDocumentFormat === "idml" ? "bookalopeActiveDocumentToIDML(" : "bookalopeActiveDocumentToRTF(") + options + ");";
+        createBookFromPreparedFile(script, document.getElementById("input-active-document"), "Failed to prepare active document", cancelToken);
+    }
+
+
+    /**
+     * The user wants to upload the chapters of the open InDesign Book as one manuscript.
+     * Like for a single document we save each chapter as an RTF file, and the InDesign side
+     * concatenates them into one RTF file in book order. Once the Bookflow exists, its IDs
+     * are stored with the InDesign Book and all of its chapters.
+     */
+
+    function createBookFromActiveBook() {
+        var cancelToken = showSpinner();
+        showStatus("Preparing InDesign Book");
+        var options = JSON.stringify({"order": bookStoryOrder, "articlesOnly": bookArticlesOnly, "exclude": bookExclusionRules});
+        var script = "bookalopeBookByNameToRTF(" + JSON.stringify(bookActiveBook) + ", " + options + ");";
+        createBookFromPreparedFile(script, document.getElementById("input-active-book"), "Failed to prepare InDesign Book", cancelToken);
+    }
+
+
+    /**
+     * Helper function that formats the report of preparing a document for upload, as
+     * returned by the InDesign side, into a readable summary: which items were left out
+     * and why, how many notes, captions, image descriptions, tables and links were carried
+     * over, and which tables could not be placed in reading order.
+     *
+     * @param {object} report - The report of the export.
+     * @returns {string} The summary as HTML, or an empty string if there's nothing to tell.
+     */
+
+    function formatExportReport(report) {
+        var lines = [];
+
+        // Helper function that describes a page item and why it's listed.
+        function describe(item) {
+            var text = item.text ? " \u201c" + escapeHTML(item.text) + "\u201d" : "";
+            var where = (item.chapter ? escapeHTML(item.chapter) + ", " : "") + (item.page !== null ? "page " + escapeHTML(item.page) : "pasteboard");
+            return item.type + text + " (" + where + "): " + escapeHTML(item.reason);
+        }
+
+        if (report.notes && (report.notes.footnotes || report.notes.endnotes)) {
+            lines.push("Carried over " + report.notes.footnotes + " footnotes and " + report.notes.endnotes + " endnotes");
+        }
+        if (report.figures && (report.figures.captions || report.figures.altTexts)) {
+            lines.push("Carried over " + report.figures.captions + " figure captions and " + report.figures.altTexts + " image descriptions");
+        }
+        if (report.links && (report.links.urls || report.links.internal || report.links.bookmarks)) {
+            lines.push("Carried over " + report.links.urls + " web links, " + report.links.internal + " internal links and cross-references, and " + report.links.bookmarks + " bookmarks");
+        }
+        if (report.links && report.links.skipped) {
+            lines.push("Left out " + report.links.skipped + " links to pages or from page items");
+        }
+        if (report.tables && report.tables.placed) {
+            lines.push("Placed " + report.tables.placed + " tables from their own frames in reading order");
+        }
+        if (report.tables && report.tables.failed.length) {
+            lines.push("Could not place " + report.tables.failed.length + " table frames in reading order:");
+            lines = lines.concat(report.tables.failed.map(describe));
+        }
+        if (report.images && report.images.embedded) {
+            lines.push("Embedded " + report.images.embedded + " linked images in the uploaded document");
+        }
+        if (report.excluded.length) {
+            lines.push("Left out " + report.excluded.length + " items:");
+            lines = lines.concat(report.excluded.map(describe));
+        }
+        return lines.join("<br>");
+    }
+
+
+    /**
+     * Helper function that runs the given script on the InDesign side which prepares a
+     * local file for upload, and then creates the Book and uploads that file. If content
+     * was left out of the file, e.g. because it wasn't part of an article, then tell the
+     * user which.
+     *
+     * @param {string} script - The script which returns the path of the prepared file and a report, or false.
+     * @param {HTMLElement} element - The form element that shows an error if preparing failed.
+     * @param {string} message - The error message.
+     * @param {CancelToken} cancelToken - The cancel token of the spinner.
+     */
+
+    function createBookFromPreparedFile(script, element, message, cancelToken) {
+        csInterface.evalScript(script, function (result) {
+            var prepared = JSON.parse(result);
+
+            // The prepared file is a temporary one, so read it and remove it right away
+            // rather than leaving it behind when the upload fails or is cancelled.
+            var read;
+            if (prepared !== false) {
+                read = window.cep.fs.readFile(prepared.path, window.cep.encoding.Base64);
+                window.cep.fs.deleteFile(prepared.path);
+            }
+            if (cancelToken.isCancelled()) {
+                return;
+            }
+            if (prepared === false) {
+                showElementError(element, message);
+                hideSpinner(cancelToken);
+            } else if (read.err) {
+                showElementError(element, "Unable to load file (" + read.err + ")");
+                hideSpinner(cancelToken);
             } else {
+                var notice = formatExportReport(prepared.report);
+                if (notice) {
+                    showNotice(notice);
+                }
+                bookFilePath = prepared.path;
                 bookFileName = bookFilePath.split("/").pop().split("\\").pop();
-                bookUploadOptions = {"ignore_pagebreaks": true};
-                createBook();
+                bookFileData = read.data;
+
+                // A Book's chapters are separated by page breaks which Bookalope must keep.
+                if (bookFileType !== "active-book" && bookActiveDocumentFormat === "rtf") {
+                    bookUploadOptions = {"ignore_pagebreaks": true};
+                }
+                createBook(cancelToken);
             }
         });
     }
@@ -746,13 +2180,28 @@ function askSaveBookflowFile(bookflow, format, style) {
         bookalopeToken = document.getElementById("input-bookalope-token").value;
         bookalopeBetaHost = document.getElementById("input-bookalope-beta").checked;
         setBookalopeAPIToken(bookalopeToken, bookalopeBetaHost);
+        loadExportFormats();
 
         // Get the values from the form fields.
         bookFileType = document.querySelector("input[name='input-file-type']:checked").value;
         bookFileName = undefined;
         bookFilePath = undefined;
+        bookFileData = undefined;
         bookFile = document.getElementById("input-file").files[0];
         bookActiveDocument = document.getElementById("input-active-document").value;
+        bookActiveDocumentFormat = document.querySelector("input[name='input-active-document-format']:checked").value;
+        bookActiveBook = document.getElementById("input-active-book").value;
+        bookStoryOrder = document.getElementById("input-story-order").value;
+        bookArticlesOnly = document.getElementById("input-articles-only").checked;
+        bookExclusionRules = {
+            hidden: document.getElementById("input-exclude-hidden").checked,
+            nonPrinting: document.getElementById("input-exclude-nonprinting").checked,
+            master: document.getElementById("input-exclude-master").checked,
+            pasteboard: document.getElementById("input-exclude-pasteboard").checked,
+            layers: splitList(document.getElementById("input-exclude-layers").value),
+            labels: splitList(document.getElementById("input-exclude-labels").value)
+        };
+        setExclusionRules(bookExclusionRules);
         bookName = document.getElementById("input-book-name").value;
         bookAuthor = document.getElementById("input-book-author").value;
         bookCopyright = document.getElementById("input-book-copyright").value;
@@ -764,7 +2213,9 @@ function askSaveBookflowFile(bookflow, format, style) {
         bookAutoClean = document.getElementById("input-book-autoclean").checked;
         bookHighlightIssues = document.getElementById("input-book-highlight-issues").checked;
         bookSkipStructure = document.getElementById("input-book-skip-structure").checked;
+        bookStyle = document.getElementById("input-book-style").value;
         bookUploadOptions = undefined;
+        bookRevisionOf = revisionBook ? {book: revisionBook, docName: revisionDocName, revisions: documentRevisions, history: documentHistory} : undefined;
 
         // Hide error messages and clear out highlighted fields, if there are any.
         clearErrors();
@@ -801,12 +2252,270 @@ function askSaveBookflowFile(bookflow, format, style) {
                 createBookFromActiveDocument();
             }
         }
+        else if (bookFileType === "active-book") {
+            if (!bookActiveBook) {
+                showElementError(document.getElementById("input-active-book"), "Please open an InDesign Book");
+                document.getElementById("input-active-book").scrollIntoView(false);
+            }
+            else {
+                createBookFromActiveBook();
+            }
+        }
         else {
             // The above should cover it.
         }
     }
 
 
+    /**
+     * Fetch the user's Bookshelves and Books from the Bookalope server, and show them
+     * in the Library panel.
+     */
+
+    function loadLibrary() {
+
+        // Store the API authentication key to local storage for later.
+        bookalopeToken = document.getElementById("input-bookalope-token").value;
+        bookalopeBetaHost = document.getElementById("input-bookalope-beta").checked;
+        setBookalopeAPIToken(bookalopeToken, bookalopeBetaHost);
+
+        clearErrors();
+        if (!isToken(bookalopeToken)) {
+            showElementError(document.getElementById("input-bookalope-token"), "Field is required");
+            return;
+        }
+
+        var cancelToken = showSpinner();
+        showStatus("Loading library");
+        var bookalope = getBookalope();
+        Promise.all([bookalope.getBookshelves(), bookalope.getBooks()])
+        .then(function (results) {
+            if (cancelToken.isCancelled()) {
+                return;
+            }
+            libraryBookshelves = results[0];
+            libraryBooks = results[1];
+            renderLibrary();
+            showStatusOk();
+            hideSpinner(cancelToken);
+        })
+        .catch(function (error) {
+            if (cancelToken.isCancelled()) {
+                return;
+            }
+            showBookalopeError(error);
+            hideSpinner(cancelToken);
+        });
+    }
+
+
+    /**
+     * Render the Library panel's list: the Books grouped by their Bookshelf, books without
+     * a Bookshelf last. Only Books whose name or Bookflow names contain the search text are
+     * shown, in the selected sort order. Every Book lists its Bookflows with a link to open
+     * the Bookflow's IDML in InDesign, and has actions to move it to another Bookshelf or
+     * to delete it.
+     */
+
+    function renderLibrary() {
+        var search = document.getElementById("input-library-search").value.trim().toLowerCase();
+        var sort = document.getElementById("input-library-sort").value;
+
+        // Filter and sort the Books.
+        var books = libraryBooks.filter(function (book) {
+            if (!search) {
+                return true;
+            }
+            return (book.name || "").toLowerCase().indexOf(search) !== -1 || book.bookflows.some(function (bookflow) {
+                return (bookflow.name || "").toLowerCase().indexOf(search) !== -1;
+            });
+        });
+        books.sort(function (a, b) {
+            if (sort === "name") {
+                return (a.name || "").localeCompare(b.name || "");
+            } else if (sort === "created-asc") {
+                return a.created - b.created;
+            }
+            return b.created - a.created;
+        });
+
+        // Group the Books by Bookshelf, in the order of the Bookshelves.
+        var groups = libraryBookshelves.map(function (bookshelf) {
+            return {bookshelf: bookshelf, books: []};
+        });
+        var unshelved = {bookshelf: undefined, books: []};
+        books.forEach(function (book) {
+            var group = unshelved;
+            groups.forEach(function (candidate) {
+                if (book.bookshelf && candidate.bookshelf.id === book.bookshelf.id) {
+                    group = candidate;
+                }
+            });
+            group.books.push(book);
+        });
+        groups.push(unshelved);
+
+        // Helper function that creates an element with the given classes and text.
+        function createElement(tagName, classNames, text) {
+            var element = document.createElement(tagName);
+            if (classNames) {
+                element.className = classNames;
+            }
+            if (text !== undefined) {
+                element.textContent = text;
+            }
+            return element;
+        }
+
+        // Helper function that creates a quiet link which calls the handler when clicked.
+        function createLink(text, handler) {
+            var link = createElement("a", "library__link spectrum-Link spectrum-Link--quiet", text);
+            link.href = "#";
+            link.addEventListener("click", function (event) {
+                event.preventDefault();
+                handler();
+            });
+            return link;
+        }
+
+        var list = document.getElementById("library-list");
+        list.innerHTML = "";
+        groups.forEach(function (group) {
+            if (group.books.length === 0) {
+                return;
+            }
+            var shelf = createElement("div", "library__shelf");
+            shelf.appendChild(createElement("h3", "library__shelf-name spectrum-Heading spectrum-Heading--sizeXS", group.bookshelf ? group.bookshelf.name : "Not on a bookshelf"));
+            var bookList = createElement("ul", "library__books");
+            group.books.forEach(function (book) {
+                var item = createElement("li", "library__book");
+                var header = createElement("div", "library__book-header");
+                header.appendChild(createElement("span", "library__book-name spectrum-Body spectrum-Body--sizeS", book.name));
+                header.appendChild(createElement("span", "library__book-date spectrum-Detail spectrum-Detail--sizeS", book.created.toLocaleDateString()));
+                item.appendChild(header);
+
+                // The Book's Bookflows. Only converted Bookflows can be opened.
+                var bookflowList = createElement("ul", "library__bookflows");
+                book.bookflows.forEach(function (bookflow) {
+                    var bookflowItem = createElement("li", "library__bookflow spectrum-Body spectrum-Body--sizeXS");
+                    bookflowItem.appendChild(createElement("span", "library__bookflow-name", bookflow.name));
+                    if (bookflow.step === "convert") {
+                        bookflowItem.appendChild(createLink("Open", function () {
+                            openLibraryBookflow(bookflow);
+                        }));
+                    } else {
+                        bookflowItem.appendChild(createElement("span", "library__bookflow-step", bookflow.step));
+                    }
+                    bookflowList.appendChild(bookflowItem);
+                });
+                item.appendChild(bookflowList);
+
+                // Move the Book to another Bookshelf, or delete it.
+                var actions = createElement("div", "library__actions");
+                var move = createElement("select", "library__move spectrum-Textfield-input");
+                move.title = "Move to bookshelf";
+                move.appendChild(createElement("option", undefined, "Not on a bookshelf"));
+                move.options[0].value = "";
+                libraryBookshelves.forEach(function (bookshelf) {
+                    var option = createElement("option", undefined, bookshelf.name);
+                    option.value = bookshelf.id;
+                    option.selected = book.bookshelf !== undefined && book.bookshelf.id === bookshelf.id;
+                    move.appendChild(option);
+                });
+                move.addEventListener("change", function () {
+                    moveLibraryBook(book, this.value);
+                });
+                actions.appendChild(move);
+                actions.appendChild(createLink("Delete", function () {
+                    deleteLibraryBook(book);
+                }));
+                item.appendChild(actions);
+                bookList.appendChild(item);
+            });
+            shelf.appendChild(bookList);
+            list.appendChild(shelf);
+        });
+        if (list.children.length === 0) {
+            list.appendChild(createElement("p", "library__empty spectrum-Body spectrum-Body--sizeS", search ? "No matching books" : "No books yet"));
+        }
+    }
+
+
+    /**
+     * Convert the given Bookflow to IDML and open it as a new InDesign document, which
+     * then switches to the Update panel for that document.
+     *
+     * @param {Bookflow} bookflow - A converted Bookflow.
+     */
+
+    function openLibraryBookflow(bookflow) {
+        var cancelToken = showSpinner();
+        convert(bookflow, {"revisions": [{"bookflow-id": bookflow.id, "name": bookflow.name}]}, cancelToken);
+    }
+
+
+    /**
+     * Move the given Book onto the Bookshelf with the given id, or remove it from its
+     * Bookshelf if the id is empty; then show the Library with the Book in its new place.
+     *
+     * @param {Book} book - A Book in the Library.
+     * @param {string} bookshelfId - The id of the target Bookshelf, or an empty string.
+     */
+
+    function moveLibraryBook(book, bookshelfId) {
+        var bookshelf;
+        libraryBookshelves.forEach(function (candidate) {
+            if (candidate.id === bookshelfId) {
+                bookshelf = candidate;
+            }
+        });
+
+        var cancelToken = showSpinner();
+        showStatus("Moving book");
+        (bookshelf ? book.moveToBookshelf(bookshelf) : book.removeFromBookshelf())
+        .then(function () {
+            renderLibrary();
+            showStatusOk();
+            hideSpinner(cancelToken);
+        })
+        .catch(function (error) {
+            renderLibrary();
+            showBookalopeError(error);
+            hideSpinner(cancelToken);
+        });
+    }
+
+
+    /**
+     * After the user confirmed, delete the given Book and all of its Bookflows from the
+     * Bookalope server, and remove it from the Library.
+     *
+     * @param {Book} book - A Book in the Library.
+     */
+
+    function deleteLibraryBook(book) {
+        if (!window.confirm("Delete the book \u201c" + book.name + "\u201d and all of its conversions from Bookalope?")) {
+            return;
+        }
+
+        var cancelToken = showSpinner();
+        showStatus("Deleting book");
+        book.delete()
+        .then(function () {
+            libraryBooks = libraryBooks.filter(function (libraryBook) {
+                return libraryBook !== book;
+            });
+            renderLibrary();
+            showStatusOk();
+            hideSpinner(cancelToken);
+        })
+        .catch(function (error) {
+            showBookalopeError(error);
+            hideSpinner(cancelToken);
+        });
+    }
+
+
     /**
      * Here we handle when the user switches between different InDesign documents, or when
      * we've successfully created a new InDesign document. Either way, we need to show the
@@ -816,6 +2525,9 @@ function askSaveBookflowFile(bookflow, format, style) {
 
     function switchPanel() {
 
+        // Whatever the active document, the Upload panel creates a new Book by default.
+        setRevisionBook(undefined);
+
         // Get the private Bookalope data from the now active document.
         csInterface.evalScript("bookalopeGetDocumentDataFromActive();", function (result) {
 
@@ -830,14 +2542,42 @@ function askSaveBookflowFile(bookflow, format, style) {
                 // Update the "Active Document" field with the currently active document name.
                 document.getElementById("input-active-document").value = documentData.doc.name;
 
+                // If the document's Bookalope data store is damaged or too new, then let the
+                // user know and treat the document like any other.
+                if (documentData.error) {
+                    showClientError("Unable to read Bookalope data of document: " + documentData.error);
+                }
+
                 // Fetch the Bookalope specific data.
                 var bookalopeData = documentData.bookalope;
                 if (bookalopeData) {
 
-                    // Get Book and Bookflow IDs, as well as beta host information.
+                    // Get Book and Bookflow IDs, as well as beta host information. The data
+                    // store was validated on the InDesign side, so we can trust its values.
                     var bookId = bookalopeData["book-id"];
                     var bookflowId = bookalopeData["bookflow-id"];
-                    // TODO Paranoid: (/^[0-9a-fA-F]{32}$/).test(bookId), (/^[0-9a-fA-F]{32}$/).test(bookflowId)
+
+                    // A diff view of another document is stale.
+                    document.getElementById("diff-wrapper").classList.add("hidden");
+
+                    // Get the styles that were used for the document, and preselect them.
+                    documentStyles = bookalopeData["styles"];
+                    updateStylePickers();
+
+                    // Get the revision history of the document, i.e. the Book's Bookflows that
+                    // were uploaded one after the other and the last of which is this document's.
+                    documentRevisions = bookalopeData["revisions"];
+
+                    // Get the history of conversions of the document.
+                    documentHistory = bookalopeData["history"];
+
+                    // A chapter can't be compared with or refreshed in place from a conversion
+                    // of its whole InDesign Book, only refreshed into a new document.
+                    documentChapter = bookalopeData["chapter"];
+                    document.getElementById("div-chapter").classList.toggle("hidden", !documentChapter);
+                    document.getElementById("book-chapter-name").textContent = documentChapter;
+                    document.getElementById("button-compare").disabled = !!documentChapter;
+                    document.getElementById("input-refresh-in-place").disabled = !!documentChapter;
 
                     // Handle beta host information from the document.
                     if (bookalopeBetaHost !== bookalopeData["beta"]) {
@@ -862,13 +2602,23 @@ function askSaveBookflowFile(bookflow, format, style) {
                     })
                     .catch(function (error) {
                         showUpload();
-                        showServerError(error.message);
+                        showBookalopeError(error);
                     });
                 } else {
+                    documentStyles = {};
+                    documentRevisions = [];
+                    documentHistory = [];
+                    documentChapter = "";
                     showUpload();
-                    showStatusOk();
+                    if (!documentData.error) {
+                        showStatusOk();
+                    }
                 }
             } else {
+                documentStyles = {};
+                documentRevisions = [];
+                documentHistory = [];
+                documentChapter = "";
                 showUpload();
                 showStatusOk();
             }
@@ -915,6 +2665,7 @@ function askSaveBookflowFile(bookflow, format, style) {
     // First things first: get and initialize the Creative Suite Interface. There is much
     // speculation as to what CS stands for: https://adobedevs.slack.com/archives/C1F8U99S7/p1561952315033200
     var config;
+    var buildDropdown;
     var csInterface = new CSInterface();
     var resourceBundle = csInterface.initResourceBundle();
 
@@ -954,12 +2705,22 @@ function askSaveBookflowFile(bookflow, format, style) {
             document.getElementById("input-bookalope-token").value = bookalopeToken;
             document.getElementById("input-bookalope-beta").checked = bookalopeBetaHost;
 
+            // Likewise, restore the exclusion rules for exporting documents.
+            var exclusionRules = getExclusionRules();
+            document.getElementById("input-exclude-hidden").checked = exclusionRules.hidden;
+            document.getElementById("input-exclude-nonprinting").checked = exclusionRules.nonPrinting;
+            document.getElementById("input-exclude-master").checked = exclusionRules.master;
+            document.getElementById("input-exclude-pasteboard").checked = exclusionRules.pasteboard;
+            document.getElementById("input-exclude-layers").value = exclusionRules.layers.join(", ");
+            document.getElementById("input-exclude-labels").value = exclusionRules.labels.join(", ");
+
             // Add a few relevant event handlers to catch changes from the other side.
             csInterface.addEventListener("documentAfterActivate", function (csEvent) {
                 switchPanel();
             });
             csInterface.addEventListener("documentBeforeClose", function (csEvent) {
                 if (csEvent.data === 1) {
+                    setRevisionBook(undefined);
                     showUpload();
                     showStatusOk();
                 }
@@ -970,14 +2731,89 @@ function askSaveBookflowFile(bookflow, format, style) {
                 uploadAndConvertDocument();
             });
 
+            // Clicking the notice box dismisses the notice.
+            document.getElementById("status-notice-box").addEventListener("click", function () {
+                this.classList.add("hidden");
+            });
+
+            // Register the callback to close the diff view.
+            document.getElementById("button-diff-close").addEventListener("click", function () {
+                document.getElementById("diff-wrapper").classList.add("hidden");
+            });
+
+            // Register the callback to remove finished jobs from the conversion job list.
+            document.getElementById("button-jobs-clear").addEventListener("click", function () {
+                clearConversionJobs();
+            });
+
+            // Clicking the revision note's link drops the revision, and creates a new Book instead.
+            document.getElementById("a-revision-cancel").addEventListener("click", function (event) {
+                event.preventDefault();
+                setRevisionBook(undefined);
+            });
+
+            // Register the callbacks for the Library panel: open and reload it, search and
+            // sort its books, and leave it for the panel of the active document.
+            document.getElementById("button-library").addEventListener("click", function () {
+                showLibrary();
+                loadLibrary();
+            });
+            document.getElementById("button-library-reload").addEventListener("click", function () {
+                loadLibrary();
+            });
+            document.getElementById("button-library-close").addEventListener("click", function () {
+                switchPanel();
+            });
+            document.getElementById("input-library-search").addEventListener("input", function () {
+                renderLibrary();
+            });
+            document.getElementById("input-library-sort").addEventListener("change", function () {
+                renderLibrary();
+            });
+
+            // Register the callback for the Spinner's Cancel button.
+            document.getElementById("button-cancel").addEventListener("click", function () {
+                cancelSpinner();
+            });
+
             // Register the callbacks for the Document Type radio buttons.
+            // Helper function that shows only the fields of the given document type.
+            function showDocumentTypeFields(fileType) {
+                document.getElementById("input-file").closest(".spectrum-FieldGroup-item").classList.toggle("hidden", fileType !== "open-file");
+                document.getElementById("input-active-document").closest(".spectrum-FieldGroup-item").classList.toggle("hidden", fileType !== "active-document");
+                document.getElementById("active-document-format").classList.toggle("hidden", fileType !== "active-document");
+                document.getElementById("story-order").classList.toggle("hidden", fileType === "open-file");
+                document.getElementById("exclusion-rules").classList.toggle("hidden", fileType === "open-file");
+                document.getElementById("input-active-book").closest(".spectrum-FieldGroup-item").classList.toggle("hidden", fileType !== "active-book");
+                showActiveDocumentFormatFields(fileType);
+            }
+
+            // Helper function that hides the story order picker if the active document is
+            // uploaded as IDML, because IDML keeps the stories in their layout. Articles only
+            // and the exclusion rules apply to IDML, too.
+            function showActiveDocumentFormatFields(fileType) {
+                var isIDML = fileType === "active-document" && document.getElementById("input-active-document-idml").checked;
+                document.getElementById("input-story-order").closest(".spectrum-Textfield").classList.toggle("hidden", isIDML);
+            }
+            document.getElementById("input-active-document-rtf").addEventListener("change", function (event) {
+                showActiveDocumentFormatFields("active-document");
+            });
+            document.getElementById("input-active-document-idml").addEventListener("change", function (event) {
+                showActiveDocumentFormatFields("active-document");
+            });
             document.getElementById("input-file-open").addEventListener("change", function (event) {
-                document.getElementById("input-file").closest(".spectrum-FieldGroup-item").classList.remove("hidden");
-                document.getElementById("input-active-document").closest(".spectrum-FieldGroup-item").classList.add("hidden");
+                showDocumentTypeFields("open-file");
             });
             document.getElementById("input-file-active").addEventListener("change", function (event) {
-                document.getElementById("input-file").closest(".spectrum-FieldGroup-item").classList.add("hidden");
-                document.getElementById("input-active-document").closest(".spectrum-FieldGroup-item").classList.remove("hidden");
+                showDocumentTypeFields("active-document");
+            });
+            document.getElementById("input-file-book").addEventListener("change", function (event) {
+                showDocumentTypeFields("active-book");
+
+                // InDesign doesn't tell us when Books open or close, so ask for the active one now.
+                csInterface.evalScript("bookalopeGetActiveBookName();", function (result) {
+                    document.getElementById("input-active-book").value = result !== EvalScript_ErrMessage ? JSON.parse(result) || "" : "";
+                });
             });
 
             // Register the callback for the File selection field that shows the selected
@@ -1057,10 +2893,11 @@ function askSaveBookflowFile(bookflow, format, style) {
                     });
                 }
 
-                // Here it goes. Iterate over all <select> elements in the documents (assuming
-                // that they have a class 'spectrum-Picker-select') and hide them; then
-                // create the Adobe Spectrum specific Dropdowns in their stead.
-                document.querySelectorAll(".spectrum-Picker-select").forEach(function (select) {
+                // Here it goes. For a <select> element (assuming that it has a class
+                // 'spectrum-Picker-select') hide it, and create the Adobe Spectrum specific
+                // Dropdown in its stead. If the <select> element already has a Dropdown
+                // (e.g. because its options changed) then that Dropdown is replaced.
+                buildDropdown = function (select) {
 
                     /**
                      * Change the current label of a Dropdown.
@@ -1112,12 +2949,48 @@ function askSaveBookflowFile(bookflow, format, style) {
                         select.dispatchEvent(changeEvent);
                     }
 
+                    /**
+                     * Return the HTML string of the Dropdown's menu item for the given <option>.
+                     */
+
+                    function renderDropdownItem(option) {
+                        var isPlaceholder = option.getAttribute("data-placeholder") === "true",
+                            isDivider = option.getAttribute("data-divider") === "true";
+                        var cssItemClasses = "";
+                        cssItemClasses += isDivider ? "spectrum-Menu-divider" : "spectrum-Menu-item";
+                        if (isPlaceholder) {
+                            cssItemClasses += " is-placeholder";
+                        }
+                        if (option.selected === true) {
+                            cssItemClasses += " is-selected";
+                        }
+                        if (option.disabled === true) {
+                            cssItemClasses += " is-disabled";
+                        }
+                        var optionText = option.textContent,
+                            optionValue = option.getAttribute("value");
+                        var itemHTML = "<li class='" + cssItemClasses + "' data-value='" + optionValue + "' " +
+                            "role='" + (isDivider ? "separator" : "option") + "'>";
+                        if (!isDivider) {
+                            itemHTML += "<span class='spectrum-Menu-itemLabel'>" + optionText + "</span>";
+                            itemHTML += "<svg class='spectrum-Icon spectrum-UIIcon-Checkmark100 spectrum-Menu-checkmark spectrum-Menu-itemIcon' focusable='false' aria-hidden='true'><use xlink:href='#spectrum-css-icon-Checkmark100'></use></svg>";
+                        }
+                        itemHTML += "</li>";
+                        return itemHTML;
+                    }
+
                     // Get the <select> element's options; its "placeholder" (which is the label shown
                     // when no option is selected); and its id attribute.
                     var selectOptions = select.children,
                         selectPlaceholder = select.getAttribute("data-placeholder"),
                         selectId = select.getAttribute("id");
 
+                    // Remove the Dropdown which was built for the <select> element before, if any.
+                    var oldDropdown = select.parentNode.querySelector(".dropdown-select[data-id='" + selectId + "']");
+                    if (oldDropdown !== null) {
+                        oldDropdown.parentNode.removeChild(oldDropdown);
+                    }
+
                     // Hide the original <select> element, but we need to keep it in the DOM to ensure
                     // that its value is used by the outer form.
                     select.classList.add("hidden");
@@ -1135,29 +3008,21 @@ function askSaveBookflowFile(bookflow, format, style) {
                         "</button>";
                     dropdownHTML += "<div class='spectrum-Popover spectrum-Popover--bottom spectrum-Picker-popover dropdown-select__popover'>" +
                         "<ul class='spectrum-Menu' role='listbox'>";
-                    Array.from(selectOptions).forEach(function (option) {
-                        var isPlaceholder = option.getAttribute("data-placeholder") === "true",
-                            isDivider = option.getAttribute("data-divider") === "true";
-                        var cssItemClasses = "";
-                        cssItemClasses += isDivider ? "spectrum-Menu-divider" : "spectrum-Menu-item";
-                        if (isPlaceholder) {
-                            cssItemClasses += " is-placeholder";
-                        }
-                        if (option.selected === true) {
-                            cssItemClasses += " is-selected";
-                        }
-                        if (option.disabled === true) {
-                            cssItemClasses += " is-disabled";
-                        }
-                        var optionText = option.textContent,
-                            optionValue = option.getAttribute("value");
-                        dropdownHTML += "<li class='" + cssItemClasses + "' data-value='" + optionValue + "' " +
-                            "role='" + (isDivider ? "separator" : "option") + "'>";
-                        if (!isDivider) {
-                            dropdownHTML += "<span class='spectrum-Menu-itemLabel'>" + optionText + "</span>";
-                            dropdownHTML += "<svg class='spectrum-Icon spectrum-UIIcon-Checkmark100 spectrum-Menu-checkmark spectrum-Menu-itemIcon' focusable='false' aria-hidden='true'><use xlink:href='#spectrum-css-icon-Checkmark100'></use></svg>";
+                    Array.from(selectOptions).forEach(function (option, index) {
+
+                        // An <optgroup> becomes a section of menu items with a heading, separated
+                        // from the previous items by a divider.
+                        if (option.tagName === "OPTGROUP") {
+                            if (index > 0) {
+                                dropdownHTML += "<li class='spectrum-Menu-divider' role='separator'></li>";
+                            }
+                            dropdownHTML += "<li role='presentation'><span class='spectrum-Menu-sectionHeading'>" + option.getAttribute("label") + "</span></li>";
+                            Array.from(option.children).forEach(function (option) {
+                                dropdownHTML += renderDropdownItem(option);
+                            });
+                        } else {
+                            dropdownHTML += renderDropdownItem(option);
                         }
-                        dropdownHTML += "</li>";
                     });
                     dropdownHTML += "</ul></div></div>";
                     select.insertAdjacentHTML("afterend", dropdownHTML);
@@ -1269,6 +3134,9 @@ function askSaveBookflowFile(bookflow, format, style) {
                             }
                         }
                     });
+                };
+                document.querySelectorAll(".spectrum-Picker-select").forEach(function (select) {
+                    buildDropdown(select);
                 });
 
                 // Clicking outside of the Dropdown or its popover closes any open popover.
@@ -1279,6 +3147,21 @@ function askSaveBookflowFile(bookflow, format, style) {
                 });
             })();
 
+            // Show the export formats we know from the last time, and then ask the server
+            // for its current list of export formats.
+            renderExportFormats(getCachedExportFormats(getBookalope().getHost()) || exportFormats);
+            loadExportFormats();
+
+            // When the user picks another download format then offer that format's styles;
+            // when she picks another style then remember it with the active document.
+            document.getElementById("input-book-download").addEventListener("change", function () {
+                updateStylePickers();
+            });
+            document.getElementById("input-book-download-style").addEventListener("change", function () {
+                rememberDocumentStyle(document.getElementById("input-book-download").value, this.value);
+            });
+            updateStylePickers();
+
             // And we're ready.
             showStatusOk();
 
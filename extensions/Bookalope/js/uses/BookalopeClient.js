@@ -35,20 +35,441 @@ function assert(condition, message) {
 
 /**
  * A BookalopeError is raised whenever an API call failed or returned an unexpected
- * HTTP code, when an assertion failed, or any other serious condition arose.
+ * HTTP code, when an assertion failed, or any other serious condition arose. If
+ * the error was caused by a request to the Bookalope server, then the error also
+ * carries the HTTP status of the response, the server's parsed JSON error body
+ * (if any), and the URL of the request.
  *
  * @param {string} message - The error message for this instance.
+ * @param {object} details - Optional `status`, `body`, and `url` of the failed request.
  * @constructor
  */
 
-var BookalopeError = function(message) {
+var BookalopeError = function(message, details) {
   this.name = "BookalopeError";
   this.message = message || "Error from Bookalope";
+  this.status = details ? details.status : undefined;
+  this.body = details ? details.body : undefined;
+  this.url = details ? details.url : undefined;
 };
 
 BookalopeError.prototype = Object.create(Error.prototype);
 
 
+/**
+ * Helper function that creates a subclass of BookalopeError with the given name
+ * and default message. Instances of the subclass take the same constructor arguments
+ * as a BookalopeError.
+ *
+ * @param {string} name - The name of the error class.
+ * @param {string} defaultMessage - The error message if none is given.
+ * @returns {function} The constructor of the new error class.
+ */
+
+function subclassBookalopeError(name, defaultMessage) {
+  var ErrorClass = function(message, details) {
+    BookalopeError.call(this, message || defaultMessage, details);
+    this.name = name;
+  };
+  ErrorClass.prototype = Object.create(BookalopeError.prototype);
+  ErrorClass.prototype.constructor = ErrorClass;
+  return ErrorClass;
+}
+
+
+/**
+ * A BookalopeAuthenticationError is raised when the server rejected the API token
+ * (HTTP 401), or when the token is malformed.
+ */
+
+var BookalopeAuthenticationError = subclassBookalopeError("BookalopeAuthenticationError", "Failed to authenticate, check token");
+
+
+/**
+ * A BookalopePermissionError is raised when the user is not allowed to do what she
+ * asked for (HTTP 403), or when it requires a paid plan (HTTP 402).
+ */
+
+var BookalopePermissionError = subclassBookalopeError("BookalopePermissionError", "Permission denied");
+
+
+/**
+ * A BookalopeNotFoundError is raised when the requested resource doesn't exist (HTTP 404),
+ * e.g. because a Book or Bookflow was deleted.
+ */
+
+var BookalopeNotFoundError = subclassBookalopeError("BookalopeNotFoundError", "Not found");
+
+
+/**
+ * A BookalopeRateLimitError is raised when the server received too many requests (HTTP 429)
+ * and retrying didn't help.
+ */
+
+var BookalopeRateLimitError = subclassBookalopeError("BookalopeRateLimitError", "Too many requests");
+
+
+/**
+ * A BookalopeValidationError is raised when the server rejected a request's parameters
+ * or data (any other HTTP 4xx), or when a parameter is invalid before sending a request.
+ */
+
+var BookalopeValidationError = subclassBookalopeError("BookalopeValidationError", "Invalid request");
+
+
+/**
+ * A BookalopeServerError is raised when the server failed to handle a request (HTTP 5xx)
+ * and retrying didn't help.
+ */
+
+var BookalopeServerError = subclassBookalopeError("BookalopeServerError", "Server error");
+
+
+/**
+ * A BookalopeNetworkError is raised when the server couldn't be reached at all.
+ */
+
+var BookalopeNetworkError = subclassBookalopeError("BookalopeNetworkError", "Unable to connect to server");
+
+
+/**
+ * A BookalopeVersionError is raised when the server's API version is incompatible with
+ * the version this client was written for.
+ */
+
+var BookalopeVersionError = subclassBookalopeError("BookalopeVersionError", "Invalid API server version, please update this client");
+
+
+/**
+ * A BookalopeCancelError is raised when a pending request was cancelled using
+ * its CancelToken.
+ */
+
+var BookalopeCancelError = subclassBookalopeError("BookalopeCancelError", "Request was cancelled");
+
+
+/**
+ * A BookalopeTimeoutError is raised when polling the server didn't come to a result
+ * before its deadline.
+ */
+
+var BookalopeTimeoutError = subclassBookalopeError("BookalopeTimeoutError", "Timed out waiting for the server");
+
+
+/**
+ * Helper function that creates the appropriate BookalopeError for the given failed
+ * xhr response. If the server returned a JSON error body, then its error descriptions
+ * make up the error message.
+ *
+ * @param {XMLHttpRequest} xhr - The request whose response failed.
+ * @param {string} url - The URL of the request.
+ * @returns {BookalopeError}
+ */
+
+function makeResponseError(xhr, url) {
+  var status = xhr.status;
+  var body = undefined;
+  var description = undefined;
+  if (typeof xhr.response === "string") {
+    try {
+      body = JSON.parse(xhr.response);
+      if (body.errors !== undefined && body.errors.length) {
+        description = body.errors.map(function(error) {
+          return error.description;
+        }).filter(function(description) {
+          return description !== undefined;
+        }).join("; ") || undefined;
+      } else {
+        // Unexpected JSON came back from the server.
+      }
+    } catch (e) {
+      // JSON parse failed, so Bookalope responded with HTML. This is a known issue
+      // with failed authorization for a request, and needs to be fixed server-side.
+      body = undefined;
+    }
+  }
+  var details = {
+    "status": status,
+    "body": body,
+    "url": url
+  };
+  var reason = description || xhr.statusText + " (" + status + ")";
+
+  // Status codes 1xx Informational responses and 3xx Redirection.
+  if (status < 200 || (status >= 300 && status < 400)) {
+    return new BookalopeError("Unexpected server response: " + reason, details);
+  }
+
+  // Status codes 4xx Client errors.
+  if (status === 401) {
+    return new BookalopeAuthenticationError("Client error: " + (description || "Failed to authenticate, check token"), details);
+  }
+  if (status === 402 || status === 403) {
+    return new BookalopePermissionError("Client error: " + reason, details);
+  }
+  if (status === 404) {
+    return new BookalopeNotFoundError("Client error: " + reason, details);
+  }
+  if (status === 429) {
+    return new BookalopeRateLimitError("Client error: " + reason, details);
+  }
+  if (status < 500) {
+    return new BookalopeValidationError("Client error: " + reason, details);
+  }
+
+  // Status codes 5xx Server error.
+  return new BookalopeServerError("Server error: " + reason, details);
+}
+
+
+/**
+ * A CancelToken is passed along with one or more requests (and other pending work
+ * like polling) to be able to cancel them later. Once cancelled, a token stays
+ * cancelled, and requests using it reject with a BookalopeCancelError.
+ *
+ * @constructor
+ */
+
+var CancelToken = function() {
+  this._cancelled = false;
+  this._callbacks = [];
+};
+
+
+/**
+ * Cancel this token: invoke all registered callbacks once, and then forget them.
+ */
+
+CancelToken.prototype.cancel = function() {
+  if (!this._cancelled) {
+    this._cancelled = true;
+    var callbacks = this._callbacks;
+    this._callbacks = [];
+    callbacks.forEach(function(callback) {
+      callback();
+    });
+  }
+};
+
+
+/**
+ * Check whether this token was cancelled.
+ *
+ * @returns {boolean} True if the token was cancelled.
+ */
+
+CancelToken.prototype.isCancelled = function() {
+  return this._cancelled;
+};
+
+
+/**
+ * Register a callback which is invoked when this token is cancelled. If the token
+ * was already cancelled then the callback is invoked immediately. Returns a function
+ * which unregisters the callback again.
+ *
+ * @param {function} callback - The function to call on cancellation.
+ * @returns {function} Call to unregister the callback.
+ */
+
+CancelToken.prototype.onCancel = function(callback) {
+  var token = this;
+  if (token._cancelled) {
+    callback();
+    return function() {};
+  }
+  token._callbacks.push(callback);
+  return function() {
+    var index = token._callbacks.indexOf(callback);
+    if (index !== -1) {
+      token._callbacks.splice(index, 1);
+    }
+  };
+};
+
+
+/**
+ * Helper function that returns a copy of the given request options, extended with
+ * the given additional request options (which take precedence).
+ *
+ * @param {object} options - Request options, see `BookalopeClient._httpRequest()`.
+ * @param {object} moreOptions - More request options, may be undefined.
+ * @returns {object} The merged request options.
+ */
+
+function mergeOptions(options, moreOptions) {
+  var merged = {};
+  [options, moreOptions].forEach(function(opts) {
+    if (opts) {
+      Object.keys(opts).forEach(function(key) {
+        merged[key] = opts[key];
+      });
+    }
+  });
+  return merged;
+}
+
+
+/**
+ * The default options for polling the Bookalope server, see `poll()`. Times are in
+ * milliseconds.
+ */
+
+var defaultPollOptions = {
+  "interval": 2000,
+  "maxInterval": 15000,
+  "factor": 1.5,
+  "deadline": 30 * 60 * 1000,
+  "onProgress": undefined,
+  "cancelToken": undefined
+};
+
+
+/**
+ * Poll the Bookalope server until a long-running task (e.g. analysis or conversion)
+ * has finished. The given `check` function is called repeatedly and must return a
+ * Promise: if that is fulfilled with undefined then polling continues, otherwise
+ * polling stops and the returned Promise is fulfilled with that value. If `check`
+ * rejects, then polling stops and the returned Promise is rejected with the error.
+ *
+ * The first check happens after `interval` milliseconds, and every following wait
+ * is `factor` times longer up to `maxInterval` milliseconds: the longer a task takes,
+ * the less often we ask. The next check is scheduled only after the previous one has
+ * settled, so checks never overlap. If there's no result after `deadline` milliseconds
+ * then the Promise is rejected with a BookalopeTimeoutError; if the `cancelToken` is
+ * cancelled then it's rejected with a BookalopeCancelError. After every unfinished
+ * check, `onProgress(attempt, elapsed)` is called if given.
+ *
+ * @async
+ * @param {function} check - Called to check, returns a Promise.
+ * @param {object} options - Optional polling options, see `defaultPollOptions`.
+ * @returns {Promise}
+ */
+
+function poll(check, options) {
+  options = mergeOptions(defaultPollOptions, options);
+
+  return new Promise(function(resolve, reject) {
+    var start = Date.now();
+    var interval = options.interval;
+    var attempt = 0;
+    var timeoutID = undefined;
+
+    // Stop waiting if the poll is cancelled. An already pending check will settle
+    // but its result is ignored.
+    var unregisterCancel = function() {};
+    if (options.cancelToken) {
+      unregisterCancel = options.cancelToken.onCancel(function() {
+        clearTimeout(timeoutID);
+        reject(new BookalopeCancelError());
+      });
+    }
+
+    var next = function() {
+      var elapsed = Date.now() - start;
+      if (elapsed + interval > options.deadline) {
+        unregisterCancel();
+        reject(new BookalopeTimeoutError("Timed out after " + Math.round(elapsed / 1000) + "s waiting for the server"));
+        return;
+      }
+      timeoutID = setTimeout(function() {
+        attempt += 1;
+        check()
+        .then(function(value) {
+          if (options.cancelToken && options.cancelToken.isCancelled()) {
+            return;
+          }
+          if (value !== undefined) {
+            unregisterCancel();
+            resolve(value);
+          } else {
+            if (typeof options.onProgress === "function") {
+              options.onProgress(attempt, Date.now() - start);
+            }
+            interval = Math.min(interval * options.factor, options.maxInterval);
+            next();
+          }
+        })
+        .catch(function(error) {
+          unregisterCancel();
+          reject(error);
+        });
+      }, interval);
+    };
+    next();
+  });
+}
+
+
+/**
+ * Helper function that parses a semantic version string "major.minor.patch" into
+ * an array of three numbers; returns undefined if the string isn't a valid version.
+ *
+ * @param {string} version - The version string.
+ * @returns {array | undefined} The version numbers.
+ */
+
+function parseVersion(version) {
+  var matches = new RegExp("^(\\d+)\\.(\\d+)\\.(\\d+)").exec(version || "");
+  if (matches) {
+    return [parseInt(matches[1], 10), parseInt(matches[2], 10), parseInt(matches[3], 10)];
+  }
+  return undefined;
+}
+
+
+/**
+ * Helper function that compares two semantic versions, each given as an array of
+ * three numbers. Returns a negative number, zero, or a positive number if version
+ * `a` is older than, equal to, or newer than version `b`.
+ *
+ * @param {array} a - A parsed version.
+ * @param {array} b - Another parsed version.
+ * @returns {number}
+ */
+
+function compareVersions(a, b) {
+  return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+}
+
+
+/**
+ * The features of the Bookalope API that this client uses, each mapped to the
+ * server API version which introduced the feature. When the client starts to use
+ * a newer feature, add it here so that `BookalopeClient.getCapabilities()` can tell
+ * whether the server supports it.
+ */
+
+var apiCapabilities = {
+  "bookshelves": "2.0.0",
+  "books": "2.0.0",
+  "bookflows": "2.0.0",
+  "credits": "2.0.0",
+  "styles": "2.0.0",
+  "formats": "2.0.0",
+  "upload-options": "2.0.0",
+  "convert-status": "2.0.0"
+};
+
+
+/**
+ * The default retry policy for requests to the Bookalope server. A failed request
+ * (network error, HTTP 429 or 5xx) is retried at most `retries` times, waiting
+ * `minDelay` milliseconds before the first retry and multiplying that delay by
+ * `factor` for every further retry, up to `maxDelay` milliseconds. The `jitter`
+ * fraction randomly shortens each delay so that clients don't retry in lockstep.
+ */
+
+var defaultRetryPolicy = {
+  "retries": 3,
+  "minDelay": 1000,
+  "maxDelay": 30000,
+  "factor": 2,
+  "jitter": 0.5,
+  "onRetry": undefined
+};
+
+
 /**
  * The Bookalope client provides direct access to the Bookalope server and its
  * services, and it wraps REST API calls into convenient functions.
@@ -62,11 +483,15 @@ BookalopeError.prototype = Object.create(Error.prototype);
 var BookalopeClient = function(token, betaHost, version) {
   this.setToken(token);
   this.setHost(betaHost);
+  this.setRetryPolicy();
   if (version) {
     this._version = version;
   } else {
     this._version = "2.0.0";
   }
+  this._serverVersion = undefined;
+  this._versionNoticeHandler = undefined;
+  this._versionNoticeSent = false;
 };
 
 
@@ -77,96 +502,298 @@ var BookalopeClient = function(token, betaHost, version) {
  * with returned JSON or downloaded Blob; rejects the promise with a proper
  * BookalopeError.
  *
+ * Requests that fail because of a network error or a HTTP 429 or 5xx response
+ * are retried according to the client's retry policy, but only if they are safe
+ * to repeat: GET and DELETE requests always are, POST requests only if the
+ * option `retry` is true.
+ *
+ * If the option `cancelToken` is given and that token is cancelled, then the
+ * pending request is aborted (or its pending retry dropped) and the promise is
+ * rejected with a BookalopeCancelError.
+ *
+ * If the option `onUploadProgress` is given then that function is called with the
+ * number of bytes sent so far and the total number of bytes while the request's
+ * data is being uploaded. Likewise, `onDownloadProgress` is called while the
+ * response is being downloaded; its total is zero if the server didn't say.
+ *
  * @async
  * @param {string} url - Endpoint to invoke.
  * @param {string} method - GET/POST/DELETE, the REST verb.
  * @param {object} params - Parameters for the call.
- * @param {object} options - Additional properties for the XMLHttpRequest object.
+ * @param {object} options - Additional properties for the XMLHttpRequest object;
+ *        `retry` to flag a POST request as safe to retry; a `cancelToken`; and
+ *        `onUploadProgress` and `onDownloadProgress` callbacks.
  * @returns {Promise}
  */
 
 BookalopeClient.prototype._httpRequest = function(url, method, params, options) {
   var bookalope = this;
 
+  // Separate the request options from the properties for the xhr instance.
+  var retry = method === "GET" || method === "DELETE";
+  var cancelToken = undefined;
+  var onUploadProgress = undefined;
+  var onDownloadProgress = undefined;
+  var xhrOptions = {};
+  Object.keys(options).forEach(function(key) {
+    if (key === "retry") {
+      retry = retry || options[key] === true;
+    } else if (key === "cancelToken") {
+      cancelToken = options[key];
+    } else if (key === "onUploadProgress") {
+      onUploadProgress = options[key];
+    } else if (key === "onDownloadProgress") {
+      onDownloadProgress = options[key];
+    } else {
+      xhrOptions[key] = options[key];
+    }
+  });
+
   // Create the Promise, and wrap it around the request.
   return new Promise(function (resolve, reject) {
     var token = bookalope._token;
     if (token === undefined || token === null || token === "" || !isToken(token)) {
-      reject(new BookalopeError("Invalid Bookalope token format"));
+      reject(new BookalopeAuthenticationError("Invalid Bookalope token format"));
+    } else if (cancelToken && cancelToken.isCancelled()) {
+      reject(new BookalopeCancelError());
     } else {
-      var xhr = new XMLHttpRequest();
-      xhr.open(method, bookalope._host + url);
-      xhr.onload = function () {
+      var attempt = 0;
+      var xhr = undefined;
+      var retryTimeoutID = undefined;
+
+      // If the request is cancelled, abort the pending xhr and drop a scheduled retry.
+      // Once the promise is settled, the cancellation doesn't affect it anymore.
+      var unregisterCancel = function() {};
+      if (cancelToken) {
+        unregisterCancel = cancelToken.onCancel(function() {
+          clearTimeout(retryTimeoutID);
+          if (xhr) {
+            xhr.abort();
+          }
+          reject(new BookalopeCancelError());
+        });
+        var settle = function(callback) {
+          return function(value) {
+            unregisterCancel();
+            callback(value);
+          };
+        };
+        resolve = settle(resolve);
+        reject = settle(reject);
+      }
 
-        // Make sure that this client and the server's API version match; if not, then throw an error.
-        if (this.getResponseHeader("X-Bookalope-Api-Version") !== bookalope._version) {
-          reject(new BookalopeError("Invalid API server version, please update this client"));
+      // If the failed request may be repeated and the retry policy allows it, then
+      // send the request again after a while; otherwise reject with the given error.
+      var retryOrReject = function(error, retryAfter) {
+        var delay = retry ? bookalope._retryDelay(attempt, retryAfter) : undefined;
+        if (delay === undefined) {
+          reject(error);
+        } else {
+          attempt += 1;
+          if (typeof bookalope._retryPolicy.onRetry === "function") {
+            bookalope._retryPolicy.onRetry(error, attempt, delay);
+          }
+          xhr = undefined;
+          retryTimeoutID = setTimeout(send, delay);
         }
+      };
 
-        // Status codes 1xx Informational responses.
-        if (this.status < 200) {
-          reject(new BookalopeError("Unexpected server response: " + this.statusText + " (" + this.status + ")"));
-
-        // Status codes 2xx Success.
-        } else if (this.status < 300) {
-          if (this.response instanceof Blob) {
-            resolve(this.response);
-          } else if (typeof this.response === "string") {
-            // TODO Check response Content-Type for JSON.
-            resolve(JSON.parse(this.response));
-          } else {
-            resolve(this.response);
+      var send = function() {
+        xhr = new XMLHttpRequest();
+        xhr.open(method, bookalope._host + url);
+        xhr.onload = function () {
+
+          // Make sure that this client and the server's API version are compatible; if not,
+          // then reject and be done with this request.
+          if (!bookalope._negotiateVersion(this.getResponseHeader("X-Bookalope-Api-Version"))) {
+            reject(new BookalopeVersionError("Incompatible API server version " + bookalope._serverVersion + ", please update this client",
+                                             {"status": this.status, "url": url}));
+            return;
           }
 
-        // Status codes 3xx Redirection.
-        } else if (this.status < 400) {
-          reject(new BookalopeError("Unexpected server response: " + this.statusText + " (" + this.status + ")"));
-
-        // Status codes 4xx Client errors.
-        } else if (this.status < 500) {
-          if (typeof this.response === "string") {
-            try {
-              var json_errors = JSON.parse(this.response);
-              if (json_errors.errors !== undefined) {
-                var errors = json_errors.errors;
-                if (errors.length === 1) {
-                  var error = errors[0];
-                  if (error.description !== undefined) {
-                    reject(new BookalopeError("Client error: " + error.description));
-                  }
-                } else {
-                  // TODO How should we handle multiple errors?
-                }
-              } else {
-                // Unexpected JSON came back from the server.
-              }
-            } catch (e) {
-              // JSON parse failed, so Bookalope responded with HTML. This is a known issue
-              // with failed authorization for a request, and needs to be fixed server-side.
-              if (this.status === 401) {
-                reject(new BookalopeError("Client error: Failed to authenticate, check token"));
-              }
+          // Status codes 2xx Success.
+          if (this.status >= 200 && this.status < 300) {
+            if (this.response instanceof Blob) {
+              resolve(this.response);
+            } else if (typeof this.response === "string") {
+              // TODO Check response Content-Type for JSON.
+              resolve(JSON.parse(this.response));
+            } else {
+              resolve(this.response);
             }
-          }
-          reject(new BookalopeError("Client error: " + this.statusText + " (" + this.status + ")"));
 
-        // Status codes 5xx Server error.
-        } else {
-          reject(new BookalopeError("Server error: " + this.statusText + " (" + this.status + ")"));
+          // Status code 429 Too Many Requests and 5xx Server errors, try again later.
+          } else if (this.status === 429 || this.status >= 500) {
+            retryOrReject(makeResponseError(this, url), this.getResponseHeader("Retry-After"));
+
+          // Status codes 1xx, 3xx, and 4xx.
+          } else {
+            reject(makeResponseError(this, url));
+          }
+        };
+        xhr.onerror = function (ev) {
+          retryOrReject(new BookalopeNetworkError("Unable to connect to server: " + ev.type, {"url": url}));
+        };
+        if (onUploadProgress) {
+          xhr.upload.onprogress = function (ev) {
+            if (ev.lengthComputable) {
+              onUploadProgress(ev.loaded, ev.total);
+            }
+          };
         }
+        if (onDownloadProgress) {
+          xhr.onprogress = function (ev) {
+            onDownloadProgress(ev.loaded, ev.lengthComputable ? ev.total : 0);
+          };
+        }
+        xhr.setRequestHeader("Authorization", "Basic " + btoa(token + ":"));
+        xhr.setRequestHeader("Content-type", "application/json");
+        // Set additional properties for the xhr instance.
+        Object.keys(xhrOptions).forEach(function(key) {
+          xhr[key] = xhrOptions[key];
+        });
+        xhr.send(params ? JSON.stringify(params) : null);
       };
-      xhr.onerror = function (ev) {
-        reject(new BookalopeError("Unable to conntect to server: " + ev));
-      };
-      xhr.setRequestHeader("Authorization", "Basic " + btoa(token + ":"));
-      xhr.setRequestHeader("Content-type", "application/json");
-      // Set additional properties for the xhr instance.
-      Object.keys(options).forEach(function(key) {
-        xhr[key] = options[key];
-      });
-      xhr.send(params ? JSON.stringify(params) : null);
+      send();
+    }
+  });
+};
+
+
+/**
+ * Helper function that checks the server's API version (as returned with every response)
+ * against this client's API version. Both are compatible if they share the same major
+ * version. If the server's minor version is newer than the client's, then the client
+ * still works but it should be updated; the version notice handler is called once for
+ * that. Responses without version header (e.g. errors from a proxy) are not checked.
+ *
+ * @param {string} serverVersion - The server's API version, may be null.
+ * @returns {boolean} True if the server's API version is compatible.
+ */
+
+BookalopeClient.prototype._negotiateVersion = function(serverVersion) {
+  if (serverVersion === null || serverVersion === undefined) {
+    return true;
+  }
+  this._serverVersion = serverVersion;
+
+  var server = parseVersion(serverVersion);
+  var client = parseVersion(this._version);
+  if (!server || !client || server[0] !== client[0]) {
+    return false;
+  }
+  if (server[1] > client[1] && !this._versionNoticeSent) {
+    this._versionNoticeSent = true;
+    if (typeof this._versionNoticeHandler === "function") {
+      this._versionNoticeHandler(serverVersion, this._version);
     }
+  }
+  return true;
+};
+
+
+/**
+ * Get the API version of the Bookalope server as reported with its last response,
+ * or undefined if the client hasn't talked to the server yet.
+ *
+ * @returns {string | undefined} The server's API version.
+ */
+
+BookalopeClient.prototype.getServerVersion = function() {
+  return this._serverVersion;
+};
+
+
+/**
+ * Set the handler function that is called (at most once per client) when the server's
+ * API version is compatible with but newer than this client's, i.e. when the client
+ * should be updated. The handler is called with the server's and the client's version.
+ *
+ * @param {function} handler - The handler function, or undefined to remove it.
+ */
+
+BookalopeClient.prototype.setVersionNoticeHandler = function(handler) {
+  this._versionNoticeHandler = handler;
+};
+
+
+/**
+ * Get a map of the API features this client uses, each mapped to true if the server
+ * supports it or false if it doesn't. If the server's version isn't known yet, then
+ * the map assumes that the server speaks this client's API version.
+ *
+ * @returns {object} A map of feature names to booleans.
+ */
+
+BookalopeClient.prototype.getCapabilities = function() {
+  var version = parseVersion(this._serverVersion) || parseVersion(this._version);
+  var capabilities = {};
+  Object.keys(apiCapabilities).forEach(function(feature) {
+    var since = parseVersion(apiCapabilities[feature]);
+    capabilities[feature] = since[0] === version[0] && compareVersions(version, since) >= 0;
   });
+  return capabilities;
+};
+
+
+/**
+ * Helper function that computes how long to wait before retrying a failed request,
+ * based on the client's retry policy. The delay grows exponentially with every
+ * attempt and is randomized by the policy's jitter. If the server sent a Retry-After
+ * header (either in seconds or as an HTTP date) then that takes precedence, but the
+ * delay never exceeds the policy's maxDelay: a longer Retry-After is cut down to it.
+ * Returns undefined if the request should not be retried anymore.
+ *
+ * @param {number} attempt - The number of retries so far, 0 for the first retry.
+ * @param {string} retryAfter - The value of the response's Retry-After header, if any.
+ * @returns {number | undefined} The delay in milliseconds.
+ */
+
+BookalopeClient.prototype._retryDelay = function(attempt, retryAfter) {
+  var policy = this._retryPolicy;
+  if (attempt >= policy.retries) {
+    return undefined;
+  }
+
+  // Honour the server's request to wait, but no longer than we're willing to.
+  if (retryAfter) {
+    var delay = /^\s*\d+\s*$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!isNaN(delay)) {
+      return Math.max(Math.min(delay, policy.maxDelay), 0);
+    }
+  }
+
+  // Exponential backoff with jitter.
+  var backoff = Math.min(policy.minDelay * Math.pow(policy.factor, attempt), policy.maxDelay);
+  return Math.round(backoff * (1 - policy.jitter * Math.random()));
+};
+
+
+/**
+ * Set the retry policy for failed requests. Properties missing from the given
+ * policy object fall back to their default values; calling this function without
+ * a policy restores the default retry policy. The policy may also contain an
+ * `onRetry(error, attempt, delay)` callback which is invoked before every retry.
+ *
+ * @param {object} policy - The retry policy, see `defaultRetryPolicy`.
+ */
+
+BookalopeClient.prototype.setRetryPolicy = function(policy) {
+  this._retryPolicy = {};
+  Object.keys(defaultRetryPolicy).forEach(function(key) {
+    this._retryPolicy[key] = policy && policy[key] !== undefined ? policy[key] : defaultRetryPolicy[key];
+  }, this);
+};
+
+
+/**
+ * Get the retry policy that this client currently uses for failed requests.
+ *
+ * @returns {object} The current retry policy.
+ */
+
+BookalopeClient.prototype.getRetryPolicy = function() {
+  return this._retryPolicy;
 };
 
 
@@ -178,7 +805,7 @@ BookalopeClient.prototype._httpRequest = function(url, method, params, options)
  * @async
  * @param {string} url - Endpoint to invoke.
  * @param {object} params - Parameters for the call.
- * @param {object} options - Additional properties for the XMLHttpRequest object.
+ * @param {object} options - Additional request options, see `_httpRequest()`.
  * @returns {Promise}
  */
 
@@ -207,11 +834,12 @@ BookalopeClient.prototype.httpGET = function(url, params, options) {
  * @async
  * @param {string} url - Endpoint to invoke.
  * @param {object} params - Parameters for the call.
+ * @param {object} options - Additional request options, see `_httpRequest()`.
  * @returns {Promise}
  */
 
-BookalopeClient.prototype.httpPOST = function(url, params) {
-  return this._httpRequest(url, "POST", params || {}, {});
+BookalopeClient.prototype.httpPOST = function(url, params, options) {
+  return this._httpRequest(url, "POST", params || {}, options || {});
 };
 
 
@@ -222,11 +850,12 @@ BookalopeClient.prototype.httpPOST = function(url, params) {
  *
  * @async
  * @param {string} url - Endpoint to invoke.
+ * @param {object} options - Additional request options, see `_httpRequest()`.
  * @returns {Promise}
  */
 
-BookalopeClient.prototype.httpDELETE = function(url) {
-  return this._httpRequest(url, "DELETE", {}, {});
+BookalopeClient.prototype.httpDELETE = function(url, options) {
+  return this._httpRequest(url, "DELETE", {}, options || {});
 };
 
 
@@ -366,7 +995,7 @@ BookalopeClient.prototype.getExportFormats = function() {
       // Create and populate a list of Format instances from the response data.
       var formatsList = [];
       response.formats.export.forEach(function(format) {
-        formatsList.push(new Format(format.mime, format.exts));
+        formatsList.push(new Format(format.name, format.mime, format.exts));
       });
 
       resolve(formatsList);
@@ -478,10 +1107,11 @@ BookalopeClient.prototype.getBooks = function() {
  * @async
  * @param {string} name - The name for the new book.
  * @param {Bookshelf} bookshelf - A Bookshelf instance to which the new Book belongs.
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken`.
  * @returns {Promise}
  */
 
-BookalopeClient.prototype.createBook = function(name, bookshelf) {
+BookalopeClient.prototype.createBook = function(name, bookshelf, requestOptions) {
   var bookalope = this;
 
   return new Promise(function(resolve, reject) {
@@ -492,7 +1122,7 @@ BookalopeClient.prototype.createBook = function(name, bookshelf) {
     if (bookshelf) {
       params["bookshelf_id"] = bookshelf.id;
     }
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, requestOptions)
     .then(function(response) {
 
       // Initialize a Book instance from the response data.
@@ -570,7 +1200,7 @@ Profile.prototype.save = function() {
       "firstname": profile.firstname,
       "lastname": profile.lastname
     };
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, {"retry": true})
     .then(function(response) {
       resolve(profile);
     })
@@ -586,6 +1216,7 @@ Profile.prototype.save = function() {
  * import or export file format. It contains the mime type of the supported file
  * format, and a list of file name extensions.
  *
+ * @param {string} name - The format's name, e.g. "epub3".
  * @param {string} mime - The formats MIME type.
  * @param {array} exts - An array of strings, each of which a valid file name extension.
  * @constructor
@@ -633,7 +1264,7 @@ var Bookshelf = function(bookalope, idOrJson) {
   this._bookalope = bookalope;
   if (typeof idOrJson === "object") {
     var bookshelf = idOrJson;
-    this.id = book.id;
+    this.id = bookshelf.id;
     this.url = "/api/bookshelves/" + this.id;
     this.name = bookshelf.name;
     this.description = bookshelf.description;
@@ -647,7 +1278,8 @@ var Bookshelf = function(bookalope, idOrJson) {
   } else if (typeof idOrJson === "string") {
     assert(new RegExp("^[0-9a-zA-Z_\-]{32}$").test(idOrJson), "Malformed Bookshelf id: " + idOrJson);
     this.id = idOrJson;
-    this.url = "/api/bookhelves/" + this.id;
+    this.url = "/api/bookshelves/" + this.id;
+    this.books = [];
   } else {
     throw new BookalopeError("Unable to initialize Bookshelf, incorrect parameter");
   }
@@ -704,10 +1336,10 @@ Bookshelf.prototype.save = function() {
   return new Promise(function(resolve, reject) {
     var url = bookshelf.url;
     var params = {
-      "description": this.description,
-      "name": this.name
+      "description": bookshelf.description,
+      "name": bookshelf.name
     };
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, {"retry": true})
     .then(function(response) {
       resolve(bookshelf);
     })
@@ -810,6 +1442,8 @@ var Book = function(bookalope, idOrJson) {
     assert(new RegExp("^[0-9a-zA-Z_\-]{32}$").test(idOrJson), "Malformed Book id: " + idOrJson);
     this.id = idOrJson;
     this.url = "/api/books/" + this.id;
+    this.bookshelf = undefined;
+    this.bookflows = [];
   } else {
     throw new BookalopeError("Unable to initialize Book, incorrect parameter");
   }
@@ -836,6 +1470,8 @@ Book.prototype.update = function() {
       // Update this Book's properties from the response data. This also re-populates
       // the list of Bookflows.
       book.name = response.book.name;
+      book.created = new Date(response.book.created);
+      book.bookshelf = response.book.bookshelf ? new Bookshelf(bookalope, response.book.bookshelf.id) : undefined;
       book.bookflows.length = 0;
       response.book.bookflows.forEach(function(bookflow) {
         book.bookflows.push(new Bookflow(bookalope, book, bookflow));
@@ -865,9 +1501,9 @@ Book.prototype.save = function() {
   return new Promise(function(resolve, reject) {
     var url = book.url;
     var params = {
-      "name": this.name
+      "name": book.name
     };
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, {"retry": true})
     .then(function(response) {
       resolve(book);
     })
@@ -923,7 +1559,7 @@ Book.prototype.moveToBookshelf = function(bookshelf) {
     var params = {
       "bookshelf_id": bookshelf.id
     };
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, {"retry": true})
     .then(function(response) {
       book.bookshelf = bookshelf;
       resolve(book);
@@ -952,7 +1588,7 @@ Book.prototype.removeFromBookshelf = function() {
     var params = {
       "bookshelf_id": null
     };
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, {"retry": true})
     .then(function(response) {
       book.bookshelf = undefined;
       resolve(book);
@@ -971,10 +1607,11 @@ Book.prototype.removeFromBookshelf = function() {
  * @async
  * @param {string} name - The name for the new Bookflow, defaults to "Bookflow".
  * @param {string} title - The title for the Bookflow's book, defaults to "<no-title>".
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken`.
  * @returns {Promise}
  */
 
-Book.prototype.createBookflow = function(name, title) {
+Book.prototype.createBookflow = function(name, title, requestOptions) {
   var book = this;
   var bookalope = book._bookalope;
 
@@ -984,7 +1621,7 @@ Book.prototype.createBookflow = function(name, title) {
       "name": name || "Bookflow",
       "title": title || "<no-title>"
     };
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, requestOptions)
     .then(function(response) {
 
       // Create a new Bookflow instance from the response data, and push the new
@@ -1056,16 +1693,17 @@ var Bookflow = function(bookalope, book, idOrJson) {
  * that is fulfilled with the Bookflow or rejected with a BookalopeError.
  *
  * @async
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken`.
  * @returns {Promise}
  */
 
-Bookflow.prototype.update = function() {
+Bookflow.prototype.update = function(requestOptions) {
   var bookflow = this;
   var bookalope = bookflow._bookalope;
 
   return new Promise(function(resolve, reject) {
     var url = bookflow.url;
-    bookalope.httpGET(url)
+    bookalope.httpGET(url, undefined, requestOptions)
     .then(function(response) {
 
       // Update this Bookflow's properties from the response data.
@@ -1099,10 +1737,11 @@ Bookflow.prototype.update = function() {
  * fulfilled with the Bookflow or rejected with a BookalopeError.
  *
  * @async
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken`.
  * @returns {Promise}
  */
 
-Bookflow.prototype.save = function() {
+Bookflow.prototype.save = function(requestOptions) {
   var bookflow = this;
   var bookalope = bookflow._bookalope;
 
@@ -1119,7 +1758,7 @@ Bookflow.prototype.save = function() {
         params[key] = value;
       }
     });
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, mergeOptions({"retry": true}, requestOptions))
     .then(function(response) {
       resolve(response);
     })
@@ -1197,21 +1836,22 @@ Bookflow.prototype.getMetadata = function() {
  *
  * @async
  * @param {string} credit - The plan type, either "basic" or "pro".
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken`.
  */
 
-Bookflow.prototype.setCredit = function(credit) {
+Bookflow.prototype.setCredit = function(credit, requestOptions) {
   var bookflow = this;
   var bookalope = bookflow._bookalope;
 
   return new Promise(function(resolve, reject) {
     if (credit !== "basic" && credit !== "pro") {
-      reject(new BookalopeError("Invalid credit type"));
+      reject(new BookalopeValidationError("Invalid credit type"));
     } else {
       var url = bookflow.url + "/credit";
       var params = {
         type: credit,
       };
-      bookalope.httpPOST(url, params)
+      bookalope.httpPOST(url, params, requestOptions)
       .then(function(response) {
         bookflow.credit = credit;
         resolve(bookflow);
@@ -1301,7 +1941,7 @@ Bookflow.prototype.addImage = function(name, filename, file) {
 
   return new Promise(function(resolve, reject) {
     if (bookflow.step !== "convert") {
-      reject(new BookalopeError("Unable to add image if Bookflow is not in 'convert' step."));
+      reject(new BookalopeValidationError("Unable to add image if Bookflow is not in 'convert' step."));
     } else {
       var url = bookflow.url + "/upload/image";
       var params = {
@@ -1361,19 +2001,21 @@ Bookflow.prototype.getDocument = function() {
  * @async
  * @param {string} filename - The filename of the document.
  * @param {string} file - A byte array which will be Base64 encoded.
- * @param {string} filetype - An optional supported file type: "doc", "epub", or "gutenberg".
+ * @param {string} filetype - An optional supported file type: "doc", "epub", "gutenberg", or "idml".
  * @param {boolean} skip_analysis - Whether Bookalope should skip structure analysis.
  * @param {object} options - Additional options.
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken` or
+ *        an `onUploadProgress(loaded, total)` callback to track the upload.
  * @returns {Promise}
  */
 
-Bookflow.prototype.setDocument = function(filename, file, filetype, skip_analysis, options) {
+Bookflow.prototype.setDocument = function(filename, file, filetype, skip_analysis, options, requestOptions) {
   var bookflow = this;
   var bookalope = bookflow._bookalope;
 
   return new Promise(function(resolve, reject) {
     if (bookflow.step !== "upload") {
-      reject(new BookalopeError("Unable to set document because one is already set"));
+      reject(new BookalopeValidationError("Unable to set document because one is already set"));
     } else {
       var url = bookflow.url + "/upload/document";
       var params = {
@@ -1381,13 +2023,13 @@ Bookflow.prototype.setDocument = function(filename, file, filetype, skip_analysi
         "filename": filename,
         "skip_analysis": skip_analysis || false
       };
-      if (filetype && ["doc", "epub", "gutenberg"].includes(filetype)) {
+      if (filetype && ["doc", "epub", "gutenberg", "idml"].includes(filetype)) {
         params["filetype"] = filetype;
       }
       if (options) {
         params["options"] = options;
       }
-      bookalope.httpPOST(url, params)
+      bookalope.httpPOST(url, params, requestOptions)
       .then(function(response) {
         bookflow.step = "processing"; // Server does the same.
         resolve(bookflow);
@@ -1410,10 +2052,11 @@ Bookflow.prototype.setDocument = function(filename, file, filetype, skip_analysi
  * @async
  * @param {string} format - The desired format for the converted and downloaded file.
  * @param {string} style - Name of the visual style for the format.
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken`.
  * @returns {Promise}
  */
 
-Bookflow.prototype.convert = function(format, style) {
+Bookflow.prototype.convert = function(format, style, requestOptions) {
   var bookflow = this;
   var bookalope = bookflow._bookalope;
 
@@ -1423,7 +2066,7 @@ Bookflow.prototype.convert = function(format, style) {
       "format": format,
       "styling": style || "default"
     };
-    bookalope.httpPOST(url, params)
+    bookalope.httpPOST(url, params, mergeOptions({"retry": true}, requestOptions))
     .then(function(response) {
       resolve(bookflow);
     })
@@ -1441,17 +2084,18 @@ Bookflow.prototype.convert = function(format, style) {
  *
  * @async
  * @param {string} format - The desired format for the converted and downloaded file.
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken`.
  * @returns {Promise}
  */
 
-Bookflow.prototype.convert_status = function(format) {
+Bookflow.prototype.convert_status = function(format, requestOptions) {
   var bookflow = this;
   var bookalope = bookflow._bookalope;
 
   return new Promise(function(resolve, reject) {
     var url = bookflow.url + "/download/" + format + "/status";
     var params = undefined;
-    bookalope.httpGET(url, params)
+    bookalope.httpGET(url, params, requestOptions)
     .then(function(response) {
       resolve(response.status);
     })
@@ -1469,10 +2113,12 @@ Bookflow.prototype.convert_status = function(format) {
  *
  * @async
  * @param {string} format - The desired format for the converted and downloaded file.
+ * @param {object} requestOptions - Optional request options, e.g. a `cancelToken` or
+ *        an `onDownloadProgress(loaded, total)` callback to track the download.
  * @returns {Promise}
  */
 
-Bookflow.prototype.convert_download = function(format) {
+Bookflow.prototype.convert_download = function(format, requestOptions) {
   var bookflow = this;
   var bookalope = bookflow._bookalope;
 
@@ -1482,7 +2128,7 @@ Bookflow.prototype.convert_download = function(format) {
     var options = {
       "responseType": "blob"
     };
-    bookalope.httpGET(url, params, options)
+    bookalope.httpGET(url, params, mergeOptions(options, requestOptions))
     .then(function(blob) {
       resolve(blob);
     })
@@ -60,15 +60,124 @@ function getConfiguration() {
 
 
 /**
- * Write the given object to the given document's Bookalope data store.
+ * The current version of the Bookalope data store format, and its schema: the type of every
+ * value of the data store by key. Older data stores are migrated when they're read, see
+ * `bookalopeMigrateDocumentData()`, and newer ones are refused.
  *
- * @param {Document} doc - The InDesign document whose data store we want to use.
+ *  - version 1: {"book-id", "bookflow-id", "beta"} and, unversioned, "styles" and "revisions".
+ *  - version 2: adds "version" and the "history" of conversions, a list of
+ *               {"uploaded", "converted", "bookflow-id", "format", "style", "host", "extension"}.
+ *  - version 3: adds "chapter", the name of the InDesign Book if the document is one of its
+ *               chapters and the Bookflow converts the whole Book, or else an empty string.
+ */
+
+var bookalopeDataStoreVersion = 3;
+
+var bookalopeDataStoreSchema = {
+    "version": "number",
+    "book-id": "string",
+    "bookflow-id": "string",
+    "beta": "boolean",
+    "styles": "object",
+    "revisions": "array",
+    "history": "array",
+    "chapter": "string"
+};
+
+
+/**
+ * Migrate the given data store object step by step from its version to the current version.
+ *
+ * @param {Object} data - A data store object as read from a document.
+ * @returns {Object} The migrated data store object.
+ */
+
+function bookalopeMigrateDocumentData(data) {
+
+    // Version 1 stores had no version number, and "styles" and "revisions" were added
+    // later without bumping it; so fill in their defaults, too.
+    if (data.version === undefined) {
+        if (data.styles === undefined) {
+            data.styles = {};
+        }
+        if (data.revisions === undefined) {
+            data.revisions = [{"bookflow-id": data["bookflow-id"]}];
+        }
+        data.history = [];
+        data.version = 2;
+    }
+    if (data.version === 2) {
+        data.chapter = "";
+        data.version = 3;
+    }
+    return data;
+}
+
+
+/**
+ * Validate the given data store object against the data store schema.
+ *
+ * @param {Object} data - A data store object of the current version.
+ * @returns {Array} A list of problems, empty if the data store is valid.
+ */
+
+function bookalopeValidateDocumentData(data) {
+    var problems = [];
+    if (!data || typeof data !== "object" || data instanceof Array) {
+        return ["not an object"];
+    }
+
+    // Check the types of the values.
+    for (var key in bookalopeDataStoreSchema) {
+        if (bookalopeDataStoreSchema.hasOwnProperty(key)) {
+            var type = data[key] instanceof Array ? "array" : (data[key] === null ? "null" : typeof data[key]);
+            if (type !== bookalopeDataStoreSchema[key]) {
+                problems.push("\"" + key + "\" is " + type + ", expected " + bookalopeDataStoreSchema[key]);
+            }
+        }
+    }
+    if (problems.length) {
+        return problems;
+    }
+
+    // Check the values themselves.
+    if (!(/^[0-9a-zA-Z_\-]{32}$/).test(data["book-id"])) {
+        problems.push("\"book-id\" is not a valid id");
+    }
+    if (!(/^[0-9a-zA-Z_\-]{32}$/).test(data["bookflow-id"])) {
+        problems.push("\"bookflow-id\" is not a valid id");
+    }
+    for (var format in data.styles) {
+        if (data.styles.hasOwnProperty(format) && typeof data.styles[format] !== "string") {
+            problems.push("style of \"" + format + "\" is not a string");
+        }
+    }
+    for (var i = 0; i < data.revisions.length; i++) {
+        if (!data.revisions[i] || typeof data.revisions[i]["bookflow-id"] !== "string") {
+            problems.push("revision " + (i + 1) + " has no \"bookflow-id\"");
+        }
+    }
+    for (var j = 0; j < data.history.length; j++) {
+        if (!data.history[j] || typeof data.history[j] !== "object") {
+            problems.push("history entry " + (j + 1) + " is not an object");
+        }
+    }
+    return problems;
+}
+
+
+/**
+ * Write the given object to the given document's Bookalope data store, stamped with
+ * the current data store version.
+ *
+ * @param {Document|Book} doc - The InDesign document or Book whose data store we want to use.
  * @param {Object} data - An object that's stored into the document's data store.
  */
 
 function bookalopeSetDocumentData(doc, data) {
 
     // Add the data to the document.
+    data.version = bookalopeDataStoreVersion;
     doc.insertLabel("privateBookalopeDataStore", JSON.stringify(data));
 }
 
@@ -79,28 +188,28 @@ function bookalopeSetDocumentData(doc, data) {
  * @param {Document} doc - The InDesign document whose data store we want to use.
  * @param {string) key - The key by which to find the value in the data store.
  * @param {Object} value - A JSON stringify-able object to store.
+ * @returns {boolean} False if the document has no valid data store.
  */
 
 function bookalopeAddDocumentData(doc, key, value) {
 
-    // Get private Bookalope data stored with the document. If none existed yet,
-    // create an empty dictionary. Then add the given key:value to the dictionary,
-    // or update the value if the key already existed.
+    // Get private Bookalope data stored with the document, add the given key:value
+    // to it or update the value if the key already existed, and write all of it back.
+    // Don't touch a data store that we couldn't read.
     var data = bookalopeGetDocumentData(doc);
-    if (data && data.bookalope) {
-        var bookalopeData = data.bookalope;
+    if (!data || !data.bookalope) {
+        return false;
     }
-    else {
-        var bookalopeData = {};
-    }
-    bookalopeData[key] = value;
-    bookalopeSetDocumentData(doc, bookalopeData);
+    data.bookalope[key] = value;
+    bookalopeSetDocumentData(doc, data.bookalope);
+    return true;
 }
 
 
 /**
  * Get information from the given document; if the document contains a Bookalope data
- * store then return that, too.
+ * store then return that, too, migrated to the current version. If the data store can't
+ * be read or is invalid, then its "bookalope" data is null and "error" says why.
  *
  * @param {Document} doc - The InDesign document whose data store we want to return.
  * @returns {Object | null}
@@ -116,7 +225,8 @@ function bookalopeGetDocumentData(doc) {
             "doc": {
                 "name": doc.name
             },
-            "bookalope": null
+            "bookalope": null,
+            "error": null
         };
 
         // Return the private Bookalope data stored with the document as a dictionary,
@@ -124,7 +234,25 @@ function bookalopeGetDocumentData(doc) {
         // by Bookalope).
         var bookalopeData = doc.extractLabel("privateBookalopeDataStore");
         if (bookalopeData.length !== 0) {
-            data.bookalope = JSON.parse(bookalopeData);
+            try {
+                bookalopeData = JSON.parse(bookalopeData);
+            } catch (exc) {
+                data.error = "unable to parse data store";
+                return data;
+            }
+            if (bookalopeData && bookalopeData.version > bookalopeDataStoreVersion) {
+                data.error = "data store version " + bookalopeData.version + " requires a newer extension";
+                return data;
+            }
+            if (bookalopeData && typeof bookalopeData === "object") {
+                bookalopeData = bookalopeMigrateDocumentData(bookalopeData);
+            }
+            var problems = bookalopeValidateDocumentData(bookalopeData);
+            if (problems.length) {
+                data.error = problems.join(", ");
+                return data;
+            }
+            data.bookalope = bookalopeData;
         }
         return data;
     }
@@ -149,6 +277,30 @@ function bookalopeGetDocumentDataFromName(docName) {
 }
 
 
+/**
+ * Find the open InDesign document with the given name whose Bookalope data store refers
+ * to the given Bookflow. Work that the panel started for a document may finish after the
+ * user switched to another document, so that work addresses its document by name rather
+ * than using whichever document is active by then.
+ *
+ * @param {string} docName - The name of the InDesign document.
+ * @param {string} bookflowId - The id of the Bookflow the document was created from.
+ * @returns {Document} The document, or null if there's no such document.
+ */
+
+function bookalopeFindBookflowDocument(docName, bookflowId) {
+    var doc = app.documents.itemByName(docName);
+    if (!doc || !doc.isValid) {
+        return null;
+    }
+    var data = bookalopeGetDocumentData(doc);
+    if (!data || !data.bookalope || data.bookalope["bookflow-id"] !== bookflowId) {
+        return null;
+    }
+    return doc;
+}
+
+
 /**
  * Find the currently active InDesign document, and return the document's Bookalope
  * data store, or null if there was none.
@@ -165,6 +317,208 @@ function bookalopeGetDocumentDataFromActive() {
 }
 
 
+/**
+ * Extract the plain text of every story of the given document, paragraph by paragraph,
+ * together with the paragraph styles. Stories are listed in the order in which they
+ * match the stories of a Bookalope IDML, see `bookalopeMatchStories()`.
+ *
+ * @param {Document} doc - The InDesign document.
+ * @param {Document} freshDoc - Optional InDesign document opened from a Bookalope IDML.
+ * @returns {Array} A list of {index, id, paragraphs} objects for the document's stories,
+ *                  and {index, id, paragraphs, fresh} if `freshDoc` is given; `fresh` is
+ *                  null if the fresh IDML has no matching story.
+ */
+
+function bookalopeGetStoriesText(doc, freshDoc) {
+    var stories = [];
+    var pairs = bookalopeMatchStories(doc, freshDoc || doc);
+    for (var i = 0; i < pairs.length; i++) {
+        var local = pairs[i].local;
+        var story = {
+            index: i,
+            id: local ? local.id : null,
+            paragraphs: bookalopeStoryParagraphs(local)
+        };
+        if (freshDoc) {
+            story.fresh = pairs[i].fresh ? bookalopeStoryParagraphs(pairs[i].fresh) : null;
+        }
+        stories.push(story);
+    }
+    return stories;
+}
+
+
+/**
+ * Compare the stories of the document with the given name with those of a fresh Bookalope
+ * IDML, paragraph by paragraph, see `bookalopeDiffParagraphs()`. Only the changes are
+ * returned: inserted and deleted paragraphs with their text, and restyled paragraphs with
+ * their old and new style. The text of a paragraph is cut short if it's very long.
+ *
+ * @param {string} docName - The name of the document to compare.
+ * @param {string} bookflowId - The id of the Bookflow the document was created from.
+ * @param {string} idmlFileName - The path of the fresh IDML file.
+ * @returns {string} A JSON stringified list of stories and their changes, or false if an error occurred.
+ */
+
+function bookalopeDiffDocumentByName(docName, bookflowId, idmlFileName) {
+
+    // Check that we work with the document that the IDML was converted for.
+    var doc = bookalopeFindBookflowDocument(docName, bookflowId);
+    if (!doc) {
+        alert("Unable to compare the document " + docName + " with Bookalope: it's closed, or belongs to another book");
+        return JSON.stringify(false);
+    }
+
+    function shorten(text) {
+        return text.length > 300 ? text.substr(0, 300) + "\u2026" : text;
+    }
+
+    // Open the fresh IDML without a window, extract the text of both documents, and diff.
+    var freshDoc = app.open(new File(idmlFileName), false);
+    var result = {
+        stories: [],
+        added: 0,
+        removed: 0
+    };
+    try {
+        var stories = bookalopeGetStoriesText(doc, freshDoc);
+        for (var i = 0; i < stories.length; i++) {
+            var story = stories[i];
+            if (story.id === null) {
+                result.added++;
+                continue;
+            }
+            if (story.fresh === null) {
+                result.removed++;
+                continue;
+            }
+            var ops = bookalopeDiffParagraphs(story.paragraphs, story.fresh);
+            var changes = [];
+            var unchanged = 0;
+            for (var k = 0; k < ops.length; k++) {
+                var op = ops[k];
+                if (op.op === "equal") {
+                    unchanged++;
+                } else if (op.op === "delete") {
+                    changes.push({op: op.op, oldIndex: op.oldIndex, newIndex: op.newIndex, text: shorten(story.paragraphs[op.oldIndex].text), style: story.paragraphs[op.oldIndex].style});
+                } else if (op.op === "insert") {
+                    changes.push({op: op.op, oldIndex: op.oldIndex, newIndex: op.newIndex, text: shorten(story.fresh[op.newIndex].text), style: story.fresh[op.newIndex].style});
+                } else {
+                    changes.push({op: op.op, oldIndex: op.oldIndex, newIndex: op.newIndex, text: shorten(story.fresh[op.newIndex].text), style: story.fresh[op.newIndex].style, oldStyle: story.paragraphs[op.oldIndex].style});
+                }
+            }
+            if (changes.length !== 0) {
+                result.stories.push({
+                    index: story.index,
+                    id: story.id,
+                    name: shorten(story.paragraphs.length ? story.paragraphs[0].text : "").substr(0, 40),
+                    paragraphs: story.paragraphs.length,
+                    unchanged: unchanged,
+                    changes: changes
+                });
+            }
+        }
+    } catch (exc) {
+        freshDoc.close(SaveOptions.NO);
+        alert("Failed to compare document: " + exc);
+        return JSON.stringify(false);
+    }
+    freshDoc.close(SaveOptions.NO);
+    return JSON.stringify(result);
+}
+
+
+/**
+ * Select the paragraph at the given index of the story with the given id in the document
+ * with the given name, and scroll it into view; the document becomes the active one. If
+ * the index is past the story's end, then select the story's last paragraph.
+ *
+ * @param {string} docName - The name of the document.
+ * @param {string} bookflowId - The id of the Bookflow the document was created from.
+ * @param {Number} storyId - The id of the story.
+ * @param {Number} index - The index of the paragraph in the story.
+ * @returns {string} A JSON stringified boolean, false if there's no such document or story.
+ */
+
+function bookalopeShowParagraphInDocument(docName, bookflowId, storyId, index) {
+    var doc = bookalopeFindBookflowDocument(docName, bookflowId);
+    if (!doc || doc.windows.length === 0) {
+        return JSON.stringify(false);
+    }
+    app.activeDocument = doc;
+    var story = doc.stories.itemByID(storyId);
+    if (!story.isValid) {
+        return JSON.stringify(false);
+    }
+    var text = story.paragraphs.length === 0 ? story.insertionPoints[0] : story.paragraphs[Math.min(index, story.paragraphs.length - 1)];
+    app.select(text);
+    text.showText();
+    return JSON.stringify(true);
+}
+
+
+/**
+ * Add the given key:value pair to the currently active document's Bookalope data store.
+ *
+ * @param {string} key - The key by which to find the value in the data store.
+ * @param {Object} value - A JSON stringify-able object to store.
+ * @returns {string} A JSON stringified boolean, false if there's no active document
+ *                   or it has no valid data store.
+ */
+
+function bookalopeAddDocumentDataToActive(key, value) {
+
+    // Find the currently active document, and add the key:value to its data store.
+    var doc = app.documents.length !== 0 ? app.activeDocument : undefined;
+    if (!doc || !doc.isValid) {
+        return JSON.stringify(false);
+    }
+    return JSON.stringify(bookalopeAddDocumentData(doc, key, value));
+}
+
+
+/**
+ * Add the given key:value pair to the Bookalope data store of the document with the given name.
+ *
+ * @param {string} docName - Name of the document whose data store is updated.
+ * @param {string} key - The key by which to find the value in the data store.
+ * @param {Object} value - A JSON stringify-able object to store.
+ * @returns {string} A JSON stringified boolean, false if there's no such document
+ *                   or it has no valid data store.
+ */
+
+function bookalopeAddDocumentDataToName(docName, key, value) {
+    var doc = app.documents.itemByName(docName);
+    if (!doc || !doc.isValid) {
+        return JSON.stringify(false);
+    }
+    return JSON.stringify(bookalopeAddDocumentData(doc, key, value));
+}
+
+
+/**
+ * Append the given entry to the history of the Bookalope data store of the document with
+ * the given name, if that document was created from the given Bookflow.
+ *
+ * @param {string} docName - The name of the document.
+ * @param {string} bookflowId - The id of the Bookflow the document was created from.
+ * @param {Object} entry - The history entry, see `bookalopeDataStoreVersion`.
+ * @returns {string} A JSON stringified boolean, false if there's no such document.
+ */
+
+function bookalopeAddDocumentHistoryByName(docName, bookflowId, entry) {
+    var doc = bookalopeFindBookflowDocument(docName, bookflowId);
+    if (!doc) {
+        return JSON.stringify(false);
+    }
+    var data = bookalopeGetDocumentData(doc);
+    if (!data.bookalope) {
+        return JSON.stringify(false);
+    }
+    return JSON.stringify(bookalopeAddDocumentData(doc, "history", data.bookalope.history.concat([entry])));
+}
+
+
 /**
  * Creates a new InDesign document from an ICML file. The Book ID and Bookflow ID parameters
  * are stored alongside the new document in order to identify the Bookalope flow the document
@@ -178,184 +532,1403 @@ function bookalopeGetDocumentDataFromActive() {
  * @param {string} bookId - A valid Bookalope Book id.
  * @param {string} bookflowId - A valid Bookalope Bookflow id.
  * @param {boolean} betaHost - Booloan flag indicating whether the Book is on beta or production server.
+ * @param {Object} data - More data to keep with the document: the "styles" by format that were used
+ *                        to convert the Book, the "revisions" history of the Book's Bookflows, and
+ *                        the "history" of conversions.
  */
 
-function bookalopeCreateDocument(idmlFileName, bookId, bookflowId, betaHost) {
+function bookalopeCreateDocument(idmlFileName, bookId, bookflowId, betaHost, data) {
 
     // Open the document in default mode, and display it.
     var idmlFile = new File(idmlFileName);
     var bookalopeDocument = app.open(idmlFile);
 
     // Bookalope keeps some private data alongside the document.
+    data = data || {};
     bookalopeSetDocumentData(bookalopeDocument, {
         "book-id": bookId,
         "bookflow-id": bookflowId,
-        "beta": betaHost
+        "beta": betaHost,
+        "styles": data.styles || {},
+        "revisions": data.revisions || [{"bookflow-id": bookflowId}],
+        "history": data.history || [],
+        "chapter": ""
     });
+
+    // Label the stories with their position in the IDML, so that a later refresh can
+    // find the matching story in a fresh IDML even if the user added stories.
+    bookalopeLabelStories(bookalopeDocument);
 }
 
 
 /**
- * Create an RTF file from the document with the given name, and save that to the given path.
+ * Label every story of the given document with its position, see `bookalopeMatchStories()`.
  *
- * @param {string} docName - Name of the document for which the RTF is created.
- * @returns {string,bool} False if an error occurred, otherwise the complete path to the RTF file.
+ * @param {Document} doc - An InDesign document that was just opened from a Bookalope IDML.
  */
 
-function bookalopeDocumentByNameToRTF(docName) {
-
-    var doc = app.documents.itemByName(docName);
-    try {
-        return bookalopeDocumentToRTF(doc);
-    } catch (exc) {
-        alert("Failed to export document: " + exc);
-        return JSON.stringify(false);
+function bookalopeLabelStories(doc) {
+    for (var i = 0; i < doc.stories.length; i++) {
+        doc.stories[i].insertLabel("bookalopeStoryIndex", String(i));
     }
 }
 
 
 /**
- * Create an RTF file from the currently active document, and save that to the given path.
+ * Match the stories of a document that was created from a Bookalope IDML with the stories
+ * of a freshly opened Bookalope IDML. A story of the document matches the fresh story at
+ * the position that it's labelled with; if the document's stories aren't labelled (i.e.
+ * the document was created by an older version of this extension), then stories match
+ * by their position. Local stories without a fresh counterpart pair with null.
  *
- * @returns {string,bool} False if an error occurred, otherwise the complete path to the RTF file.
+ * @param {Document} doc - The InDesign document created from a Bookalope IDML.
+ * @param {Document} freshDoc - The InDesign document opened from a fresh Bookalope IDML.
+ * @returns {Array} A list of {local, fresh} story pairs, either of which may be null.
  */
 
-function bookalopeActiveDocumentToRTF() {
+function bookalopeMatchStories(doc, freshDoc) {
+    var labelled = {};
+    var isLabelled = false;
+    var labelCount = 0;
+    for (var i = 0; i < doc.stories.length; i++) {
+        var label = doc.stories[i].extractLabel("bookalopeStoryIndex");
+        if (label !== "") {
+            labelled[label] = doc.stories[i];
+            isLabelled = true;
+            if (/^\d+$/.test(label)) {
+                labelCount = Math.max(labelCount, parseInt(label, 10) + 1);
+            }
+        }
+    }
+    var pairs = [];
+    var count = Math.max(freshDoc.stories.length, isLabelled ? labelCount : doc.stories.length);
+    for (var i = 0; i < count; i++) {
+        var local = isLabelled ? labelled[String(i)] : doc.stories[i];
+        var fresh = i < freshDoc.stories.length ? freshDoc.stories[i] : null;
+        pairs.push({
+            local: local && local.isValid ? local : null,
+            fresh: fresh
+        });
+    }
+    return pairs;
+}
 
-    var doc = app.documents.length !== 0 ? app.activeDocument : undefined;
-    try {
-        return bookalopeDocumentToRTF(doc);
-    } catch (exc) {
-        alert("Failed to export document: " + exc);
-        return JSON.stringify(false);
+
+/**
+ * Return the paragraphs of the given story as a list of plain text and paragraph style
+ * name pairs. The text of a paragraph doesn't include its trailing paragraph break.
+ *
+ * @param {Story} story - An InDesign story.
+ * @returns {Array} A list of {text, style} objects, one for each paragraph.
+ */
+
+function bookalopeStoryParagraphs(story) {
+    var paragraphs = [];
+    if (!story || story.paragraphs.length === 0) {
+        return paragraphs;
+    }
+    var contents = story.paragraphs.everyItem().contents;
+    var styles = story.paragraphs.everyItem().appliedParagraphStyle;
+    for (var i = 0; i < contents.length; i++) {
+        paragraphs.push({
+            text: String(contents[i]).replace(/\r$/, ""),
+            style: styles[i] && styles[i].isValid ? styles[i].name : ""
+        });
     }
+    return paragraphs;
 }
 
 
 /**
- * Create an RTF file from the given document, and save that to the given path.
+ * Compute a paragraph-level diff between two lists of paragraphs as returned by
+ * `bookalopeStoryParagraphs()`. Paragraphs with equal text are kept, and if their styles
+ * differ then they're restyled; all others are deleted from the old, or inserted from
+ * the new paragraphs. The common head and tail of both lists are skipped; if what's left
+ * in between is too large to compare paragraph by paragraph then it's replaced as a whole.
  *
- * @param {Document} doc - The InDesign document for which the RTF is created.
- * @returns {string,bool} False if an error occurred, otherwise the complete path to the RTF file.
+ * Every operation is an object {op, oldIndex, newIndex} where op is one of "equal",
+ * "style", "delete", or "insert". For an insertion, the `oldIndex` is the old paragraph
+ * before which the new paragraph is inserted; for a deletion, the `newIndex` is the new
+ * paragraph before which the old paragraph was.
+ *
+ * @param {Array} oldParas - The old paragraphs.
+ * @param {Array} newParas - The new paragraphs.
+ * @returns {Array} The list of operations, in order.
  */
 
-function bookalopeDocumentToRTF(doc) {
+function bookalopeDiffParagraphs(oldParas, newParas) {
+    var ops = [];
 
-    // Check that we work with a valid document.
-    if (!doc || !doc.isValid) {
-        alert("Unable to export an invalid document to Bookalope");
-        return JSON.stringify(false);
+    function keep(i, j) {
+        ops.push({
+            op: oldParas[i].style === newParas[j].style ? "equal" : "style",
+            oldIndex: i,
+            newIndex: j
+        });
     }
 
-    // When we export the RTF we want to make sure that the original active
-    // document and its resources have also been saved.
-    if (!doc.saved || doc.modified) {
-        alert("Please save this document before exporting it to Bookalope");
-        return JSON.stringify(false);
+    // Skip the common head and tail.
+    var head = 0;
+    while (head < oldParas.length && head < newParas.length && oldParas[head].text === newParas[head].text) {
+        head++;
     }
-
-    // Make sure that all links in the document are valid.
-    for (var i = 0; i < doc.links.length; i++) {
-        var link = doc.links.item(i);
-        if (link.status === LinkStatus.LINK_INACCESSIBLE || link.status === LinkStatus.LINK_MISSING || link.status === LinkStatus.LINK_OUT_OF_DATE) {
-            alert("Please check the links in this document: some are not up-to-date or are missing");
-            return JSON.stringify(false);
-        }
+    var oldEnd = oldParas.length;
+    var newEnd = newParas.length;
+    while (oldEnd > head && newEnd > head && oldParas[oldEnd - 1].text === newParas[newEnd - 1].text) {
+        oldEnd--;
+        newEnd--;
+    }
+    for (var i = 0; i < head; i++) {
+        keep(i, i);
     }
 
-    // A polyfill of Array.prototype.includes, although this may not be
-    // necessary at some point for new versions of InDesign anymore.
-    if (!Array.prototype.includes) {
-        Array.prototype.includes = function(item) {
-            for (var i = 0; i < this.length; i++) {
-                if (this[i] === item) {
-                    return true;
+    // Compare the paragraphs in between using their longest common subsequence, where
+    // lcs[i * width + j] is its length for the old paragraphs from i and the new ones
+    // from j onwards. Limit the table's size to keep InDesign responsive.
+    var n = oldEnd - head;
+    var m = newEnd - head;
+    var width = m + 1;
+    var lcs = null;
+    if (n * m <= 250000) {
+        lcs = new Array((n + 1) * width);
+        for (var i = n; i >= 0; i--) {
+            for (var j = m; j >= 0; j--) {
+                if (i === n || j === m) {
+                    lcs[i * width + j] = 0;
+                } else if (oldParas[head + i].text === newParas[head + j].text) {
+                    lcs[i * width + j] = lcs[(i + 1) * width + j + 1] + 1;
+                } else {
+                    lcs[i * width + j] = Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
                 }
             }
-            return false;
-        };
+        }
+    }
+    var i = 0;
+    var j = 0;
+    while (i < n || j < m) {
+        if (lcs && i < n && j < m && oldParas[head + i].text === newParas[head + j].text) {
+            keep(head + i, head + j);
+            i++;
+            j++;
+        } else if (i < n && (j === m || !lcs || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+            ops.push({op: "delete", oldIndex: head + i, newIndex: head + j});
+            i++;
+        } else {
+            ops.push({op: "insert", oldIndex: head + i, newIndex: head + j});
+            j++;
+        }
+    }
+
+    for (var k = 0; oldEnd + k < oldParas.length; k++) {
+        keep(oldEnd + k, newEnd + k);
+    }
+    return ops;
+}
+
+
+/**
+ * Update the document with the given name, which was created from a Bookalope IDML, with
+ * the content of a fresh IDML of the same Bookflow. Rather than replacing the document,
+ * only the paragraphs that changed are updated in place: new paragraphs are copied over
+ * from the fresh IDML, deleted paragraphs are removed, and paragraphs with a different
+ * paragraph style are restyled while keeping their local overrides. Everything else,
+ * i.e. the local layout, master pages, and unchanged paragraphs with their manual
+ * overrides, stays untouched. The whole refresh is a single step for Undo.
+ *
+ * @param {string} docName - The name of the document to refresh.
+ * @param {string} bookflowId - The id of the Bookflow the document was created from.
+ * @param {string} idmlFileName - The path of the fresh IDML file.
+ * @returns {string} A JSON stringified report of the changes, or false if an error occurred.
+ */
+
+function bookalopeRefreshDocumentByName(docName, bookflowId, idmlFileName) {
+
+    // Check that we work with the document that the IDML was converted for.
+    var doc = bookalopeFindBookflowDocument(docName, bookflowId);
+    if (!doc) {
+        alert("Unable to refresh the document " + docName + " from Bookalope: it's closed, or belongs to another book");
+        return JSON.stringify(false);
+    }
+
+    // Cache the document's paragraph styles by name.
+    var paragraphStyles = {};
+    for (var i = 0; i < doc.allParagraphStyles.length; i++) {
+        var paragraphStyle = doc.allParagraphStyles[i];
+        if (!paragraphStyles[paragraphStyle.name]) {
+            paragraphStyles[paragraphStyle.name] = paragraphStyle;
+        }
     }
 
     /**
-     * Generate a unique filename.
+     * Copy the given fresh paragraph (without its paragraph break) into a new, empty
+     * paragraph at the given index of the given story, and apply the local paragraph
+     * style of the same name. Duplicating keeps character styles and anchored objects;
+     * if that fails, then fall back to the plain text.
      *
-     * @param {string} base - The path and base name of the filename.
-     * @param {string} ext - The filename extension, including dot.
-     * @return {string} The unique path and filename.
+     * @param {Story} story - The local story.
+     * @param {Number} index - The index of the new paragraph in the story.
+     * @param {Paragraph} freshPara - The paragraph from the fresh IDML.
+     * @param {Object} info - The fresh paragraph's text and style name.
      */
-    function createUniqueName(base, ext) {
-        for (var i = 0; new File(base + ext).exists; i++) {
-            base = base.replace(/_\d+$/, "") + "_" + String(i);
+    function insertParagraph(story, index, freshPara, info) {
+        if (index < story.paragraphs.length) {
+            story.paragraphs[index].insertionPoints[0].contents = "\r";
+        } else if (story.characters.length !== 0) {
+            story.insertionPoints[-1].contents = "\r";
+        }
+        var isLast = index >= story.paragraphs.length;
+        var target = isLast ? story.insertionPoints[-1] : story.paragraphs[index].insertionPoints[0];
+        if (info.text.length !== 0) {
+            try {
+                freshPara.characters.itemByRange(0, info.text.length - 1).duplicate(LocationOptions.BEFORE, target);
+            } catch (_) {
+                target.contents = info.text.replace(/\uFFFC/g, "");
+            }
+        }
+        var para = isLast ? story.paragraphs[-1] : story.paragraphs[index];
+        if (paragraphStyles[info.style] && para.isValid) {
+            para.applyParagraphStyle(paragraphStyles[info.style], false);
         }
-        return base + ext;
     }
 
     /**
-     * Given a text frame and an image, duplicate image near to the text
-     * frame for export.
+     * Remove the paragraph at the given index of the given story, including its
+     * paragraph break. If it's the last paragraph, remove the previous break instead.
      *
-     * @param {TextFram} textFrame - Target text frame where to anchor the image.
-     * @param {Rectangle} imageRect - The image that's duplicated and anchored.
-     * @return {Rectangle} The anchored new image.
+     * @param {Story} story - The local story.
+     * @param {Number} index - The index of the paragraph to remove.
      */
-    function anchorImage(textFrame, imageRect) {
+    function removeParagraph(story, index) {
+        var para = story.paragraphs[index];
+        var isLast = index === story.paragraphs.length - 1;
+        para.remove();
+        if (isLast && story.characters.length !== 0 && story.characters[-1].contents === "\r") {
+            story.characters[-1].remove();
+        }
+    }
 
-        // Create an anchor in the given text frame for the image.
-        var insertionPoint = textFrame.insertionPoints[0];
-        var anchor = insertionPoint.rectangles.add();
-        anchor.contentType = ContentType.graphicType;
+    // Open the fresh IDML without a window, and update the document's stories from it.
+    var freshDoc = app.open(new File(idmlFileName), false);
+    var report = {
+        stories: [],
+        added: 0,
+        removed: 0
+    };
+    try {
+        app.doScript(function () {
+            var pairs = bookalopeMatchStories(doc, freshDoc);
+            for (var i = 0; i < pairs.length; i++) {
+                var local = pairs[i].local;
+                var fresh = pairs[i].fresh;
+
+                // We can't place a new story without layout, nor remove a story's frames
+                // without breaking the layout: so just report them.
+                if (!local) {
+                    report.added++;
+                    continue;
+                }
+                if (!fresh) {
+                    report.removed++;
+                    continue;
+                }
 
-        // Recompose the parent story so that the geometricBounds make sense.
-        insertionPoint.parentStory.recompose();
+                // Diff the story's paragraphs and apply the changes from last to first, so
+                // that the indexes of the paragraphs yet to change remain valid.
+                var oldParas = bookalopeStoryParagraphs(local);
+                var newParas = bookalopeStoryParagraphs(fresh);
+                var ops = bookalopeDiffParagraphs(oldParas, newParas);
+                var storyReport = {
+                    index: i,
+                    name: (newParas.length ? newParas[0].text : "").substr(0, 40),
+                    inserted: 0,
+                    deleted: 0,
+                    restyled: 0,
+                    unchanged: 0,
+                    overset: false
+                };
+                for (var k = ops.length - 1; k >= 0; k--) {
+                    var op = ops[k];
+                    if (op.op === "equal") {
+                        storyReport.unchanged++;
+                    } else if (op.op === "style") {
+                        if (paragraphStyles[newParas[op.newIndex].style]) {
+                            local.paragraphs[op.oldIndex].applyParagraphStyle(paragraphStyles[newParas[op.newIndex].style], false);
+                        }
+                        storyReport.restyled++;
+                    } else if (op.op === "delete") {
+                        removeParagraph(local, op.oldIndex);
+                        storyReport.deleted++;
+                    } else if (op.op === "insert") {
+                        insertParagraph(local, op.oldIndex, fresh.paragraphs[op.newIndex], newParas[op.newIndex]);
+                        storyReport.inserted++;
+                    }
+                }
+                local.recompose();
+                storyReport.overset = local.overflows;
+                if (storyReport.inserted || storyReport.deleted || storyReport.restyled) {
+                    report.stories.push(storyReport);
+                }
+            }
+        }, ScriptLanguage.JAVASCRIPT, undefined, UndoModes.ENTIRE_SCRIPT, "Refresh from Bookalope");
+    } catch (exc) {
+        freshDoc.close(SaveOptions.NO);
+        alert("Failed to refresh document: " + exc);
+        return JSON.stringify(false);
+    }
+    freshDoc.close(SaveOptions.NO);
+    return JSON.stringify(report);
+}
 
-        // Save the user's measurement preferences, and then switch to points unit.
-        var userHoriz = tmpDoc.viewPreferences.horizontalMeasurementUnits;
-        var userVert = tmpDoc.viewPreferences.verticalMeasurementUnits;
-        tmpDoc.viewPreferences.horizontalMeasurementUnits = MeasurementUnits.points;
-        tmpDoc.viewPreferences.verticalMeasurementUnits = MeasurementUnits.points;
 
-        // Configure the custom anchor.
-        var anchorProps = tmpDoc.anchoredObjectDefaults.properties;
-        anchor.applyObjectStyle(anchorProps.anchoredObjectStyle);
-        if (anchorProps.anchorContent == ContentType.textType) {
-            try {
-                anchor.parentStory.appliedParagraphStyle = anchorProps.anchoredParagraphStyle;
-            } catch (_) {
-                // Might be null, and we do nothing in that case.
-            }
+/**
+ * Write the given binary string, whose characters are the bytes 0-255, to the file with
+ * the given path: either append it, or replace the file's content. Used to write large
+ * downloads chunk by chunk, which CEP's file API can't.
+ *
+ * @param {string} path - The path of the file.
+ * @param {string} data - The bytes to write.
+ * @param {boolean} append - Append the bytes to the file, or else create the file anew.
+ * @returns {string} A JSON stringified number, the size of the file after writing, or
+ *                   false if an error occurred.
+ */
+
+function bookalopeWriteFileChunk(path, data, append) {
+    var file = new File(path);
+    file.encoding = "BINARY";
+    if (!file.open(append ? "a" : "w")) {
+        return JSON.stringify(false);
+    }
+    var written = file.write(data);
+    file.close();
+    return JSON.stringify(written ? file.length : false);
+}
+
+
+/**
+ * Generate a unique filename.
+ *
+ * @param {string} base - The path and base name of the filename.
+ * @param {string} ext - The filename extension, including dot.
+ * @return {string} The unique path and filename.
+ */
+
+function bookalopeCreateUniqueName(base, ext) {
+    for (var i = 0; new File(base + ext).exists; i++) {
+        base = base.replace(/_\d+$/, "") + "_" + String(i);
+    }
+    return base + ext;
+}
+
+
+/**
+ * Check that the given document can be exported for Bookalope: it must be valid, saved,
+ * and all of its links must be up-to-date. Alert the user if not.
+ *
+ * @param {Document} doc - The InDesign document to be exported.
+ * @returns {boolean} True if the document can be exported.
+ */
+
+function bookalopeCheckDocumentForExport(doc) {
+
+    // Check that we work with a valid document.
+    if (!doc || !doc.isValid) {
+        alert("Unable to export an invalid document to Bookalope");
+        return false;
+    }
+
+    // When we export the document we want to make sure that the original active
+    // document and its resources have also been saved.
+    if (!doc.saved || doc.modified) {
+        alert("Please save this document before exporting it to Bookalope");
+        return false;
+    }
+
+    // Make sure that all links in the document are valid.
+    for (var i = 0; i < doc.links.length; i++) {
+        var link = doc.links.item(i);
+        if (link.status === LinkStatus.LINK_INACCESSIBLE || link.status === LinkStatus.LINK_MISSING || link.status === LinkStatus.LINK_OUT_OF_DATE) {
+            alert("Please check the links in this document: some are not up-to-date or are missing");
+            return false;
+        }
+    }
+    return true;
+}
+
+
+/**
+ * Return the stories of the text frames in the given page item, which may be a text
+ * frame itself or a group.
+ *
+ * @param {PageItem} pageItem - A page item.
+ * @returns {Array} The Stories.
+ */
+
+function bookalopePageItemStories(pageItem) {
+    var stories = [];
+    if (pageItem.constructor.name === "TextFrame") {
+        stories.push(pageItem.parentStory);
+    } else if (pageItem.allPageItems) {
+        for (var i = 0; i < pageItem.allPageItems.length; i++) {
+            if (pageItem.allPageItems[i].constructor.name === "TextFrame") {
+                stories.push(pageItem.allPageItems[i].parentStory);
+            }
+        }
+    }
+    return stories;
+}
+
+
+/**
+ * Return the stories of the given document's articles, in the order of the Articles panel.
+ * That's the reading order which InDesign's own EPUB export uses, too.
+ *
+ * @param {Document} doc - The InDesign document.
+ * @returns {Array} The Stories, possibly with duplicates.
+ */
+
+function bookalopeArticleStories(doc) {
+    var stories = [];
+    for (var i = 0; i < doc.articles.length; i++) {
+        var members = doc.articles[i].articleMembers;
+        for (var j = 0; j < members.length; j++) {
+            stories = stories.concat(bookalopePageItemStories(members[j].itemRef));
+        }
+    }
+    return stories;
+}
+
+
+/**
+ * Return the stories of the given document's XML elements, in depth-first order of the
+ * document's XML structure.
+ *
+ * @param {Document} doc - The InDesign document.
+ * @returns {Array} The Stories, possibly with duplicates.
+ */
+
+function bookalopeXMLStories(doc) {
+    var stories = [];
+    function walk(element) {
+        var content = element.xmlContent;
+        if (content && content.constructor.name === "Story") {
+            stories.push(content);
+        } else if (content && content.parentStory) {
+            stories.push(content.parentStory);
+        } else if (content) {
+            stories = stories.concat(bookalopePageItemStories(content));
+        }
+        for (var i = 0; i < element.xmlElements.length; i++) {
+            walk(element.xmlElements[i]);
+        }
+    }
+    if (doc.xmlElements.length !== 0) {
+        walk(doc.xmlElements[0]);
+    }
+    return stories;
+}
+
+
+/**
+ * Describe the given page item for the user, e.g. when it was excluded from an export.
+ *
+ * @param {PageItem} pageItem - A page item.
+ * @returns {Object} The item's "type", "page" name (or null if on the pasteboard), and
+ *                   for text frames the beginning of the "text".
+ */
+
+function bookalopeDescribePageItem(pageItem) {
+    var description = {
+        "type": pageItem.constructor.name,
+        "page": pageItem.parentPage ? pageItem.parentPage.name : null
+    };
+    if (pageItem.constructor.name === "TextFrame") {
+        description.text = pageItem.parentStory.contents.substr(0, 40);
+    }
+    return description;
+}
+
+
+/**
+ * Remove the page items of the given document that match the given exclusion rules, and
+ * add them to the given report's "excluded" list with the "reason". The rules are:
+ *  - "hidden": items on hidden layers, and hidden items;
+ *  - "nonPrinting": non-printing items, and items on non-printing layers;
+ *  - "layers": a list of layer names whose items are excluded;
+ *  - "labels": a list of script labels whose items are excluded;
+ *  - "master": master page items, including the ones overridden on document pages unless
+ *    they're body text frames, i.e. threaded or the master's primary text frame;
+ *  - "pasteboard": items on the pasteboard.
+ * Call this only for a temporary copy of a document with all layers and items unlocked.
+ *
+ * @param {Document} doc - The temporary InDesign document.
+ * @param {Object} exclude - The exclusion rules, e.g. {"hidden": true, "layers": ["Notes"]}.
+ * @param {Object} report - The export report.
+ */
+
+function bookalopeApplyExclusionRules(doc, exclude, report) {
+    if (!exclude) {
+        return;
+    }
+
+    /**
+     * Return true if the given list contains the given value.
+     */
+    function contains(list, value) {
+        for (var i = 0; list && i < list.length; i++) {
+            if (list[i] === value) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Return true if the given overridden master page item is a frame of the body text:
+     * threaded with other frames, or the override of the master's primary text frame.
+     */
+    function isBodyTextFrame(pageItem) {
+        if (pageItem.constructor.name !== "TextFrame") {
+            return false;
+        }
+        if (pageItem.previousTextFrame || pageItem.nextTextFrame) {
+            return true;
+        }
+        var master = pageItem.overriddenMasterPageItem;
+        var primary = master.parent.constructor.name === "MasterSpread" ? master.parent.primaryTextFrame : null;
+        return primary !== null && primary.isValid && primary.id === master.id;
+    }
+
+    /**
+     * Return the reason why the given page item is excluded, or null if it isn't.
+     */
+    function exclusionReason(pageItem) {
+        var layer = pageItem.itemLayer;
+        if (exclude.hidden && (!layer.visible || !pageItem.visible)) {
+            return "hidden";
+        }
+        if (exclude.nonPrinting && (!layer.printable || pageItem.nonprinting)) {
+            return "non-printing";
+        }
+        if (contains(exclude.layers, layer.name)) {
+            return "layer " + layer.name;
+        }
+        if (pageItem.label && contains(exclude.labels, pageItem.label)) {
+            return "script label " + pageItem.label;
+        }
+        if (exclude.master && (pageItem.parent.constructor.name === "MasterSpread" || (pageItem.overriddenMasterPageItem && !isBodyTextFrame(pageItem)))) {
+            return "master page item";
+        }
+        if (exclude.pasteboard && pageItem.parent.constructor.name === "Spread" && !pageItem.parentPage) {
+            return "pasteboard";
+        }
+        return null;
+    }
+
+    var pageItems = doc.pageItems.everyItem().getElements();
+    for (var i = 0; i < doc.masterSpreads.length; i++) {
+        pageItems = pageItems.concat(doc.masterSpreads[i].pageItems.everyItem().getElements());
+    }
+    var removed = {};
+    for (var j = 0; j < pageItems.length; j++) {
+        var pageItem = pageItems[j];
+        if (removed[pageItem.id] || !pageItem.isValid) {
+            continue;
+        }
+        var reason = exclusionReason(pageItem);
+        if (reason !== null) {
+            var description = bookalopeDescribePageItem(pageItem);
+            description.reason = reason;
+            report.excluded.push(description);
+            removed[pageItem.id] = true;
+            pageItem.locked = false;
+            pageItem.remove();
+        }
+    }
+}
+
+
+/**
+ * Create an IDML file from the currently active document, and save that to a temporary path.
+ *
+ * @param {Object} options - Options for the IDML export, see `bookalopeDocumentToIDML()`.
+ * @returns {string,bool} False if an error occurred, otherwise the JSON stringified path of
+ *                        the IDML file and export report.
+ */
+
+function bookalopeActiveDocumentToIDML(options) {
+
+    var doc = app.documents.length !== 0 ? app.activeDocument : undefined;
+    try {
+        return bookalopeDocumentToIDML(doc, options);
+    } catch (exc) {
+        alert("Failed to export document: " + exc);
+        return JSON.stringify(false);
+    }
+}
+
+
+/**
+ * Create an IDML file from the given document, and save that to a temporary path. Unlike
+ * the RTF export, InDesign's own IDML export keeps all stories, frames, tables, footnotes,
+ * and styles of the document, and Bookalope imports them on the server side. Bookalope's
+ * private data is not exported.
+ *
+ * Page items that match the options' "exclude" rules are removed from the IDML, see
+ * `bookalopeApplyExclusionRules()`. If the options' "articlesOnly" is true and the document
+ * has articles, then all page items that aren't part of an article are removed, too. The
+ * report lists them.
+ *
+ * An IDML file only references linked images, so they're embedded in the temporary copy
+ * first to carry them to Bookalope; the report counts them in its "images".
+ *
+ * @param {Document} doc - The InDesign document for which the IDML is created.
+ * @param {Object} options - Optional options for the IDML export, e.g. {"articlesOnly": true, "exclude": {"hidden": true}}.
+ * @returns {string,bool} False if an error occurred, otherwise the JSON stringified "path" of
+ *                        the IDML file and the export "report" with the "excluded" page items.
+ */
+
+function bookalopeDocumentToIDML(doc, options) {
+    if (!bookalopeCheckDocumentForExport(doc)) {
+        return JSON.stringify(false);
+    }
+    var report = {"excluded": [], "images": {"embedded": 0}};
+
+    // Export a temporary copy of the document, so that we can clean it up without
+    // touching the user's document: unlock all layers and elements and drop our labels.
+    var docFile = doc.fullName;
+    var tmpFileName = bookalopeCreateUniqueName(Folder.temp + "/bookalope-copy", ".indd");
+    if (!docFile.copy(tmpFileName)) {
+        alert("Unable to create a temporary copy of the document");
+        return JSON.stringify(false);
+    }
+    var tmpFile = new File(tmpFileName);
+    var tmpDoc = app.open(tmpFile, false);
+    var idmlFile = new File(bookalopeCreateUniqueName(Folder.temp + "/bookalope-document", ".idml"));
+    try {
+        tmpDoc.layers.everyItem().locked = false;
+        tmpDoc.pageItems.everyItem().locked = false;
+        tmpDoc.insertLabel("privateBookalopeDataStore", "");
+        bookalopeApplyExclusionRules(tmpDoc, options && options.exclude, report);
+
+        // Remove the page items that aren't part of an article, nor contain one, nor are
+        // threaded with one.
+        if (options && options.articlesOnly && tmpDoc.articles.length !== 0) {
+            var memberIds = {};
+            var storyIds = {};
+            for (var i = 0; i < tmpDoc.articles.length; i++) {
+                var members = tmpDoc.articles[i].articleMembers;
+                for (var j = 0; j < members.length; j++) {
+                    memberIds[members[j].itemRef.id] = true;
+                }
+            }
+            var articleStories = bookalopeArticleStories(tmpDoc);
+            for (var k = 0; k < articleStories.length; k++) {
+                storyIds[articleStories[k].id] = true;
+            }
+            var isArticleItem = function (pageItem) {
+                if (memberIds[pageItem.id] || (pageItem.constructor.name === "TextFrame" && storyIds[pageItem.parentStory.id])) {
+                    return true;
+                }
+                for (var m = 0; pageItem.allPageItems && m < pageItem.allPageItems.length; m++) {
+                    if (isArticleItem(pageItem.allPageItems[m])) {
+                        return true;
+                    }
+                }
+                return false;
+            };
+            var pageItems = tmpDoc.pageItems.everyItem().getElements();
+            for (var n = 0; n < pageItems.length; n++) {
+                if (!isArticleItem(pageItems[n])) {
+                    var description = bookalopeDescribePageItem(pageItems[n]);
+                    description.reason = "not in an article";
+                    report.excluded.push(description);
+                    pageItems[n].remove();
+                }
+            }
+        }
+
+        // Embed the remaining linked images, which were checked to be up-to-date.
+        var links = tmpDoc.links.everyItem().getElements();
+        for (var l = 0; l < links.length; l++) {
+            if (links[l].status === LinkStatus.NORMAL && links[l].parent.constructor.name !== "Story") {
+                links[l].unlink();
+                report.images.embedded++;
+            }
+        }
+        tmpDoc.exportFile(ExportFormat.INDESIGN_MARKUP, idmlFile);
+    } finally {
+        tmpDoc.close(SaveOptions.NO);
+        tmpFile.remove();
+    }
+    return JSON.stringify({"path": idmlFile.fsName, "report": report});
+}
+
+
+/**
+ * Return the name of the currently active InDesign Book, if any.
+ *
+ * @returns {string} A JSON stringified Book name, or null if no Book is open.
+ */
+
+function bookalopeGetActiveBookName() {
+    if (app.books.length === 0) {
+        return JSON.stringify(null);
+    }
+    try {
+        return JSON.stringify(app.activeBook.name);
+    } catch (exc) {
+        return JSON.stringify(app.books[0].name);
+    }
+}
+
+
+/**
+ * Create a single RTF file from all chapter documents of the InDesign Book with the given
+ * name, and save that to a temporary path.
+ *
+ * @param {string} bookName - Name of the open InDesign Book.
+ * @param {Object} options - Options for the RTF export, see `bookalopeDocumentToRTF()`.
+ * @returns {string,bool} False if an error occurred, otherwise the JSON stringified path of
+ *                        the RTF file and export report.
+ */
+
+function bookalopeBookByNameToRTF(bookName, options) {
+
+    var book = app.books.itemByName(bookName);
+    try {
+        return bookalopeBookToRTF(book, options);
+    } catch (exc) {
+        alert("Failed to export book: " + exc);
+        return JSON.stringify(false);
+    }
+}
+
+
+/**
+ * Call the given function for every chapter document of the given InDesign Book, in
+ * book order. Chapters that aren't open already are opened without a window, and closed
+ * again afterwards.
+ *
+ * @param {Book} book - The InDesign Book.
+ * @param {function} callback - Called with the chapter document and its index; return
+ *                              false to stop.
+ * @returns {boolean} False if a chapter is missing or the callback stopped.
+ */
+
+function bookalopeForEachChapter(book, callback) {
+    for (var i = 0; i < book.bookContents.length; i++) {
+        var content = book.bookContents[i];
+        if (content.status === BookContentStatus.MISSING_DOCUMENT) {
+            alert("Chapter " + content.name + " of the book is missing");
+            return false;
+        }
+
+        // Find the chapter among the open documents, or else open it.
+        var doc = null;
+        for (var j = 0; j < app.documents.length; j++) {
+            if (app.documents[j].saved && app.documents[j].fullName.fsName === content.fullName.fsName) {
+                doc = app.documents[j];
+                break;
+            }
+        }
+        var opened = doc === null;
+        if (opened) {
+            doc = app.open(content.fullName, false);
+        }
+        try {
+            var result = callback(doc, i);
+        } finally {
+            if (opened) {
+                doc.close(SaveOptions.NO);
+            }
+        }
+        if (result === false) {
+            return false;
+        }
+    }
+    return true;
+}
+
+
+/**
+ * Create a single RTF file from all chapter documents of the given InDesign Book: prepare
+ * an RTF file for each chapter like for a single document, and then concatenate them in
+ * book order with a page break between chapters.
+ *
+ * @param {Book} book - The InDesign Book for which the RTF is created.
+ * @param {Object} options - Options for the RTF export, see `bookalopeDocumentToRTF()`.
+ * @returns {string,bool} False if an error occurred, otherwise the JSON stringified "path" of
+ *                        the RTF file and the export "report" of all chapters; excluded items
+ *                        are listed with their "chapter".
+ */
+
+function bookalopeBookToRTF(book, options) {
+
+    // Check that we work with a valid book.
+    if (!book || !book.isValid) {
+        alert("Unable to export an invalid book to Bookalope");
+        return JSON.stringify(false);
+    }
+    if (book.bookContents.length === 0) {
+        alert("Please add documents to this book before exporting it to Bookalope");
+        return JSON.stringify(false);
+    }
+
+    // Create an RTF file for every chapter, and collect the chapters' reports.
+    var chapterFiles = [];
+    var report = {
+        "excluded": [],
+        "notes": {"footnotes": 0, "endnotes": 0},
+        "figures": {"captions": 0, "altTexts": 0},
+        "tables": {"placed": 0, "failed": []},
+        "links": {"urls": 0, "internal": 0, "bookmarks": 0, "skipped": 0}
+    };
+    var rtfFile = null;
+    try {
+        var exported = bookalopeForEachChapter(book, function (doc) {
+            var result = JSON.parse(bookalopeDocumentToRTF(doc, options));
+            if (result === false) {
+                return false;
+            }
+            chapterFiles.push(new File(result.path));
+            for (var i = 0; i < result.report.excluded.length; i++) {
+                result.report.excluded[i].chapter = doc.name;
+                report.excluded.push(result.report.excluded[i]);
+            }
+            report.notes.footnotes += result.report.notes.footnotes;
+            report.notes.endnotes += result.report.notes.endnotes;
+            report.figures.captions += result.report.figures.captions;
+            report.figures.altTexts += result.report.figures.altTexts;
+            report.tables.placed += result.report.tables.placed;
+            for (var key in report.links) {
+                if (report.links.hasOwnProperty(key)) {
+                    report.links[key] += result.report.links[key];
+                }
+            }
+            for (var j = 0; j < result.report.tables.failed.length; j++) {
+                result.report.tables.failed[j].chapter = doc.name;
+                report.tables.failed.push(result.report.tables.failed[j]);
+            }
+            return true;
+        });
+
+        // Place the chapters one after the other into a story of a temporary document, and
+        // export that story. Don't let InDesign ask for RTF import options.
+        if (exported) {
+            var tmpDoc = app.documents.add(false);
+            var userInteractionLevel = app.scriptPreferences.userInteractionLevel;
+            app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
+            try {
+                var story = tmpDoc.textFrames.add().parentStory;
+                for (var i = 0; i < chapterFiles.length; i++) {
+                    if (i !== 0) {
+                        story.insertionPoints[-1].contents = SpecialCharacters.PAGE_BREAK;
+                    }
+                    story.insertionPoints[-1].place(chapterFiles[i]);
+                }
+                rtfFile = new File(bookalopeCreateUniqueName(Folder.temp + "/bookalope-book", ".rtf"));
+                story.exportFile(ExportFormat.RTF, rtfFile);
+            } finally {
+                app.scriptPreferences.userInteractionLevel = userInteractionLevel;
+                tmpDoc.close(SaveOptions.NO);
+            }
+        }
+    } finally {
+
+        // Clean up the chapters' RTF files.
+        for (var j = 0; j < chapterFiles.length; j++) {
+            chapterFiles[j].remove();
+        }
+    }
+    return JSON.stringify(rtfFile ? {"path": rtfFile.fsName, "report": report} : false);
+}
+
+
+/**
+ * Write the given data to the Bookalope data store of the InDesign Book with the given
+ * name, and of each of its chapter documents, so that the Book and each chapter know the
+ * Bookflow that was created from them. The chapters' data stores are marked with the
+ * name of the Book, because their Bookflow converts the whole Book and not just them.
+ * Chapter documents are saved, except for open ones with unsaved changes of the user's:
+ * those keep the data store as one more unsaved change.
+ *
+ * @param {string} bookName - Name of the open InDesign Book.
+ * @param {Object} data - The data store object, see `bookalopeDataStoreSchema`.
+ * @returns {string} A JSON stringified boolean, false if an error occurred.
+ */
+
+function bookalopeSetBookDataByName(bookName, data) {
+
+    var book = app.books.itemByName(bookName);
+    if (!book || !book.isValid) {
+        return JSON.stringify(false);
+    }
+    try {
+        data.chapter = "";
+        bookalopeSetDocumentData(book, data);
+        book.save();
+        data.chapter = book.name;
+        var stored = bookalopeForEachChapter(book, function (doc) {
+            var modified = doc.modified;
+            bookalopeSetDocumentData(doc, data);
+            if (!modified) {
+                doc.save();
+            }
+        });
+        return JSON.stringify(stored);
+    } catch (exc) {
+        alert("Failed to store Bookalope data with the book: " + exc);
+        return JSON.stringify(false);
+    }
+}
+
+
+/**
+ * Create an RTF file from the document with the given name, and save that to the given path.
+ *
+ * @param {string} docName - Name of the document for which the RTF is created.
+ * @param {Object} options - Options for the RTF export, see `bookalopeDocumentToRTF()`.
+ * @returns {string,bool} False if an error occurred, otherwise the JSON stringified path of
+ *                        the RTF file and export report.
+ */
+
+function bookalopeDocumentByNameToRTF(docName, options) {
+
+    var doc = app.documents.itemByName(docName);
+    try {
+        return bookalopeDocumentToRTF(doc, options);
+    } catch (exc) {
+        alert("Failed to export document: " + exc);
+        return JSON.stringify(false);
+    }
+}
+
+
+/**
+ * Create an RTF file from the currently active document, and save that to the given path.
+ *
+ * @param {Object} options - Options for the RTF export, see `bookalopeDocumentToRTF()`.
+ * @returns {string,bool} False if an error occurred, otherwise the JSON stringified path of
+ *                        the RTF file and export report.
+ */
+
+function bookalopeActiveDocumentToRTF(options) {
+
+    var doc = app.documents.length !== 0 ? app.activeDocument : undefined;
+    try {
+        return bookalopeDocumentToRTF(doc, options);
+    } catch (exc) {
+        alert("Failed to export document: " + exc);
+        return JSON.stringify(false);
+    }
+}
+
+
+/**
+ * Create an RTF file from the given document, and save that to the given path.
+ *
+ * The options may contain the "order" in which the document's stories are exported:
+ *  - "auto": "articles" if the document has articles, "geometric" otherwise (default);
+ *  - "geometric": page by page, top-to-bottom and then left-to-right by the frames' top-left;
+ *  - "columns": page by page, column by column from left to right, and top-to-bottom within a column;
+ *  - "rtl": page by page, top-to-bottom and then right-to-left by the frames' top-right;
+ *  - "longest": threaded stories first, and then by length, longest first;
+ *  - "articles": in the order of the Articles panel;
+ *  - "xml": in the order of the document's XML structure.
+ * Stories that aren't in any article or XML element follow in "geometric" order, unless the
+ * options' "articlesOnly" is true and the document has articles: then stories that aren't
+ * in an article are excluded whatever the order, and the report lists them. Page items that match the options' "exclude" rules are left out
+ * before the stories are collected, see `bookalopeApplyExclusionRules()`. Footnotes and
+ * endnotes are carried over as marked text, numbered like InDesign numbers them, and the
+ * report counts them in its "notes";
+ * likewise, images' captions and alternative texts, which the report counts in its "figures".
+ * Tables in standalone text frames are moved into the text at their reading position; the
+ * report's "tables" counts them as "placed", and lists those that "failed". Hyperlinks to
+ * URLs are kept, links within the document and bookmarks become anchor and link markers;
+ * the report counts them in its "links".
+ *
+ * @param {Document} doc - The InDesign document for which the RTF is created.
+ * @param {Object} options - Optional options for the RTF export, e.g. {"order": "columns", "exclude": {"hidden": true}}.
+ * @returns {string,bool} False if an error occurred, otherwise the JSON stringified "path" of
+ *                        the RTF file and the export "report" with the "excluded" page items.
+ */
+
+function bookalopeDocumentToRTF(doc, options) {
+    var order = (options && options.order) || "auto";
+    var report = {"excluded": []};
+
+    // Check that we work with a valid, saved document with valid links.
+    if (!bookalopeCheckDocumentForExport(doc)) {
+        return JSON.stringify(false);
+    }
+    if (order === "auto") {
+        order = doc.articles.length !== 0 ? "articles" : "geometric";
+    }
+
+    // A polyfill of Array.prototype.includes, although this may not be
+    // necessary at some point for new versions of InDesign anymore.
+    if (!Array.prototype.includes) {
+        Array.prototype.includes = function(item) {
+            for (var i = 0; i < this.length; i++) {
+                if (this[i] === item) {
+                    return true;
+                }
+            }
+            return false;
+        };
+    }
+
+    /**
+     * Given an insertion point and an image, duplicate image into the text
+     * at the insertion point for export.
+     *
+     * @param {InsertionPoint} insertionPoint - Target insertion point where to anchor the image.
+     * @param {Rectangle} imageRect - The image that's duplicated and anchored.
+     * @return {Rectangle} The anchored new image.
+     */
+    function anchorImage(insertionPoint, imageRect) {
+
+        // Create an anchor at the given insertion point for the image.
+        var story = insertionPoint.parentStory;
+        var anchor = insertionPoint.rectangles.add();
+        anchor.contentType = ContentType.graphicType;
+
+        // Recompose the parent story so that the geometricBounds make sense, and
+        // find the text frame in which the anchor ended up.
+        story.recompose();
+        var textFrame = anchor.parent.parentTextFrames.length ? anchor.parent.parentTextFrames[0] : story.textContainers[0];
+
+        // Save the user's measurement preferences, and then switch to points unit.
+        var userHoriz = tmpDoc.viewPreferences.horizontalMeasurementUnits;
+        var userVert = tmpDoc.viewPreferences.verticalMeasurementUnits;
+        tmpDoc.viewPreferences.horizontalMeasurementUnits = MeasurementUnits.points;
+        tmpDoc.viewPreferences.verticalMeasurementUnits = MeasurementUnits.points;
+
+        // Configure the custom anchor.
+        var anchorProps = tmpDoc.anchoredObjectDefaults.properties;
+        anchor.applyObjectStyle(anchorProps.anchoredObjectStyle);
+        if (anchorProps.anchorContent == ContentType.textType) {
+            try {
+                anchor.parentStory.appliedParagraphStyle = anchorProps.anchoredParagraphStyle;
+            } catch (_) {
+                // Might be null, and we do nothing in that case.
+            }
+        }
+        anchor.anchoredObjectSettings.properties = doc.anchoredObjectSettings.properties;
+        anchor.anchoredObjectSettings.anchoredPosition = AnchorPosition.anchored;
+        anchor.anchoredObjectSettings.pinPosition = false;
+
+        // Get the geometric boundaries for both objects.
+        var frameBounds = textFrame.geometricBounds;
+        var imageBounds = imageRect.geometricBounds;
+
+        // Copy image into the anchored frame and resize its bounds.
+        var image = imageRect.images[0];
+        var imagePath = image.itemLink.filePath;
+        anchor.place(new File(imagePath));
+        anchor.geometricBounds = [
+            imageBounds[0] - frameBounds[0],
+            imageBounds[1] - frameBounds[1],
+            imageBounds[2] - frameBounds[0],
+            imageBounds[3] - frameBounds[1]
+        ];
+
+        // Then resize the image itself.
+        var newImageBoundY = anchor.geometricBounds[0] - (imageBounds[0] - imageBounds[0]);
+        var newImageBoundX = anchor.geometricBounds[1] - (imageBounds[1] - imageBounds[1]);
+        anchor.images[0].geometricBounds = [
+            newImageBoundY,
+            newImageBoundX,
+            newImageBoundY + (image.geometricBounds[2] - image.geometricBounds[0]),
+            newImageBoundX + (image.geometricBounds[3] - image.geometricBounds[1])
+        ];
+
+        // Adjust the textWrapPreferences for the anchored image.
+        anchor.textWrapPreferences.textWrapMode = imageRect.textWrapPreferences.textWrapMode;
+        anchor.textWrapPreferences.textWrapOffset = imageRect.textWrapPreferences.textWrapOffset;
+        return anchor;
+    }
+
+    /**
+     * Return true if the given text frame contains a live caption, i.e. a text variable
+     * that shows metadata of an image.
+     *
+     * @param {TextFrame} frame - The text frame.
+     * @return {boolean} True if the frame contains a live caption.
+     */
+    function isLiveCaption(frame) {
+        var instances = frame.parentStory.textVariableInstances;
+        for (var i = 0; i < instances.length; i++) {
+            if (instances[i].associatedTextVariable.variableType === VariableTypes.LIVE_CAPTION_TYPE) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Return the alternative text of the given image as set in its object export options:
+     * either the custom text, or the description from the image's XMP metadata.
+     *
+     * @param {Rectangle} imageRect - The image.
+     * @return {string} The alternative text, possibly empty.
+     */
+    function imageAltText(imageRect) {
+        try {
+            var options = imageRect.objectExportOptions;
+            if (options.altTextSourceType === SourceType.SOURCE_CUSTOM) {
+                return options.customAltText;
+            }
+            if (options.altTextSourceType === SourceType.SOURCE_XMP_DESCRIPTION) {
+                return imageRect.images[0].itemLink.linkXmp.description;
+            }
+        } catch (_) {
+            // No export options or metadata, and we do nothing in that case.
+        }
+        return "";
+    }
+
+    /**
+     * Return the free-floating images of the given page, each with its captions: the
+     * text frames that are grouped with the image, or else the unthreaded text frames
+     * on the spread with a live caption or with a caption or legend paragraph style that
+     * are right above or below the image and overlap it horizontally. A caption frame
+     * that's close to several images belongs to the nearest one only.
+     *
+     * @param {Page} page - The page.
+     * @return {Array} A list of {rect, captions} objects.
+     */
+    function pageImages(page) {
+        var images = [];
+        for (var i = 0; i < page.rectangles.length; i++) {
+            if (page.rectangles[i].images.length >= 1) {
+                images.push({rect: page.rectangles[i], captions: []});
+            }
+        }
+        for (var i = 0; i < page.groups.length; i++) {
+            var group = page.groups[i];
+            var captions = group.textFrames.everyItem().getElements();
+            for (var j = 0; j < group.rectangles.length; j++) {
+                if (group.rectangles[j].images.length >= 1) {
+                    images.push({rect: group.rectangles[j], captions: captions});
+                    captions = [];
+                }
+            }
+        }
+
+        // Find the captions of the ungrouped images by style and position.
+        var frames = page.parent.textFrames;
+        for (var j = 0; j < frames.length; j++) {
+            var frame = frames[j];
+            if (!frame.isValid || frame.nextTextFrame || frame.previousTextFrame || frame.paragraphs.length === 0) {
+                continue;
+            }
+            var styleName = frame.paragraphs[0].appliedParagraphStyle.name;
+            if (!(/caption|legend/i).test(styleName) && !isLiveCaption(frame)) {
+                continue;
+            }
+            var frameBounds = frame.geometricBounds;
+            var nearest = null;
+            for (var i = 0; i < images.length; i++) {
+                if (images[i].rect.parent.constructor.name === "Group") {
+                    continue;
+                }
+                var imageBounds = images[i].rect.geometricBounds;
+                var gap = Math.max(frameBounds[0] - imageBounds[2], imageBounds[0] - frameBounds[2]);
+                if (gap <= 24 && frameBounds[1] < imageBounds[3] && frameBounds[3] > imageBounds[1] && (nearest === null || gap < nearest.gap)) {
+                    nearest = {image: images[i], gap: gap};
+                }
+            }
+            if (nearest !== null) {
+                nearest.image.captions.push(frame);
+            }
+        }
+        return images;
+    }
+
+    /**
+     * Find the reading position of the given page item, e.g. an image: in the text frame on
+     * the item's spread that's closest to the item, preferring frames on the item's page and
+     * frames that overlap the item vertically, the start of the first paragraph that is below
+     * the top of the item; or if there is none, the end of the paragraph in which the frame's
+     * text ends, which may continue in a threaded frame.
+     *
+     * @param {PageItem} imageRect - The page item.
+     * @param {Array} ignoredFrames - Text frames which are not considered, e.g. the image's captions.
+     * @return {Object} The {story, index, end} of the reading position, or null if the
+     *                  spread has no text.
+     */
+    function findReadingPosition(imageRect, ignoredFrames) {
+        var imageBounds = imageRect.geometricBounds;
+        var imagePage = imageRect.parentPage;
+        var frames = imageRect.parentPage.parent.textFrames;
+        var best = null;
+        for (var i = 0; i < frames.length; i++) {
+            var frame = frames[i];
+            var isIgnored = frame.id === imageRect.id;
+            for (var j = 0; j < ignoredFrames.length; j++) {
+                isIgnored = isIgnored || (ignoredFrames[j].isValid && ignoredFrames[j].id === frame.id);
+            }
+            if (isIgnored || frame.lines.length === 0) {
+                continue;
+            }
+            var frameBounds = frame.geometricBounds;
+            var score = [
+                frame.parentPage && frame.parentPage.id === imagePage.id ? 0 : 1,
+                Math.max(0, frameBounds[0] - imageBounds[2], imageBounds[0] - frameBounds[2]),
+                Math.max(0, frameBounds[1] - imageBounds[3], imageBounds[1] - frameBounds[3])
+            ];
+            if (best === null || score[0] < best.score[0] || (score[0] === best.score[0] && (score[1] < best.score[1] || (score[1] === best.score[1] && score[2] < best.score[2])))) {
+                best = {frame: frame, score: score};
+            }
+        }
+        if (best === null) {
+            return null;
         }
-        anchor.anchoredObjectSettings.properties = doc.anchoredObjectSettings.properties;
-        anchor.anchoredObjectSettings.anchoredPosition = AnchorPosition.anchored;
-        anchor.anchoredObjectSettings.pinPosition = false;
+        var lines = best.frame.lines;
+        for (var k = 0; k < lines.length; k++) {
+            if (lines[k].baseline >= imageBounds[0]) {
+                return {story: best.frame.parentStory, index: lines[k].paragraphs[0].insertionPoints[0].index, end: false};
+            }
+        }
+        return {story: best.frame.parentStory, index: lines[-1].paragraphs[-1].insertionPoints[-1].index, end: true};
+    }
 
-        // Get the geometric boundaries for both objects.
-        var frameBounds = textFrame.geometricBounds;
-        var imageBounds = imageRect.geometricBounds;
+    /**
+     * Anchor the given image with its captions at its reading position, see
+     * `findReadingPosition()`, as a paragraph of its own followed by the captions'
+     * paragraphs in the "bookalope-caption" paragraph style. The image's alternative
+     * text follows the anchored image in the "bookalope-alt-text" character style.
+     * The caption frames are removed, so that their text isn't exported twice; caption
+     * frames that are gone already are skipped.
+     *
+     * @param {Rectangle} imageRect - The image.
+     * @param {Array} captions - The image's caption text frames.
+     */
+    function anchorImageAtReadingPosition(imageRect, captions) {
+        var position = findReadingPosition(imageRect, captions);
+        if (position === null) {
+            return;
+        }
+        var story = position.story;
+        var index = position.index;
+        if (position.end && (index === 0 || story.characters[index - 1].contents !== "\r")) {
+            story.insertionPoints[index].contents = "\r";
+            index += 1;
+        }
+        var anchor = anchorImage(story.insertionPoints[index], imageRect);
+        index += 1;
+
+        // Keep the alternative text with the anchored image, too, for accessible ebooks.
+        var altText = imageAltText(imageRect);
+        if (altText) {
+            anchor.objectExportOptions.altTextSourceType = SourceType.SOURCE_CUSTOM;
+            anchor.objectExportOptions.customAltText = altText;
+            story.insertionPoints[index].contents = altText;
+            story.characters.itemByRange(index, index + altText.length - 1).applyCharacterStyle(altTextCharacterStyle, true);
+            index += altText.length;
+            report.figures.altTexts++;
+        }
+        story.insertionPoints[index].contents = "\r";
+        for (var i = 0; i < captions.length; i++) {
+            if (!captions[i].isValid) {
+                continue;
+            }
 
-        // Copy image into the anchored frame and resize its bounds.
-        var image = imageRect.images[0];
-        var imagePath = image.itemLink.filePath;
-        anchor.place(new File(imagePath));
-        anchor.geometricBounds = [
-            imageBounds[0] - frameBounds[0],
-            imageBounds[1] - frameBounds[1],
-            imageBounds[2] - frameBounds[0],
-            imageBounds[3] - frameBounds[1]
-        ];
+            // Turn live captions into plain text, because they'd lose their image.
+            var captionStory = captions[i].parentStory;
+            if (captionStory.textVariableInstances.length !== 0) {
+                captionStory.textVariableInstances.everyItem().convertToText();
+            }
+            var captionText = captionStory.texts[0];
+            var length = captionText.characters.length;
+            var start = index + 1;
+            captionText.duplicate(LocationOptions.AFTER, story.characters[index]);
+            index += 1 + length;
+            if (story.characters[index - 1].contents !== "\r") {
+                story.insertionPoints[index].contents = "\r";
+                index += 1;
+            }
+            story.characters.itemByRange(start, index - 1).paragraphs.everyItem().applyParagraphStyle(captionParagraphStyle, false);
+            index -= 1;
+            captions[i].remove();
+            report.figures.captions++;
+        }
+    }
 
-        // Then resize the image itself.
-        var newImageBoundY = anchor.geometricBounds[0] - (imageBounds[0] - imageBounds[0]);
-        var newImageBoundX = anchor.geometricBounds[1] - (imageBounds[1] - imageBounds[1]);
-        anchor.images[0].geometricBounds = [
-            newImageBoundY,
-            newImageBoundX,
-            newImageBoundY + (image.geometricBounds[2] - image.geometricBounds[0]),
-            newImageBoundX + (image.geometricBounds[3] - image.geometricBounds[1])
-        ];
+    /**
+     * Return the unthreaded text frames of the given page that contain tables and no other
+     * text, i.e. whose paragraphs are empty or only hold table anchor characters (U+0016).
+     * Frames with tables in running text are left as stories.
+     *
+     * @param {Page} page - The page.
+     * @return {Array} The TextFrames.
+     */
+    function pageTableFrames(page) {
+        var frames = [];
+        for (var i = 0; i < page.textFrames.length; i++) {
+            var frame = page.textFrames[i];
+            var story = frame.parentStory;
+            if (!frame.nextTextFrame && !frame.previousTextFrame && story.tables.length !== 0 && /^[\u0016\s]*$/.test(story.contents)) {
+                frames.push(frame);
+            }
+        }
+        return frames;
+    }
 
-        // Adjust the textWrapPreferences for the anchored image.
-        anchor.textWrapPreferences.textWrapMode = imageRect.textWrapPreferences.textWrapMode;
-        anchor.textWrapPreferences.textWrapOffset = imageRect.textWrapPreferences.textWrapOffset;
+    /**
+     * Mark the header and footer rows of the given table with the "bookalope-table-header"
+     * and "bookalope-table-footer" character styles, so that Bookalope can recover them.
+     *
+     * @param {Table} table - The table.
+     */
+    function markTableRows(table) {
+        for (var i = 0; i < table.rows.length; i++) {
+            var row = table.rows[i];
+            var style = row.rowType === RowTypes.HEADER_ROW ? tableHeaderCharacterStyle : (row.rowType === RowTypes.FOOTER_ROW ? tableFooterCharacterStyle : null);
+            for (var j = 0; style !== null && j < row.cells.length; j++) {
+                if (row.cells[j].texts[0].characters.length !== 0) {
+                    row.cells[j].texts[0].applyCharacterStyle(style, false);
+                }
+            }
+        }
+    }
+
+    /**
+     * Move the text of the given table-bearing text frame, and with it its tables, to the
+     * frame's reading position, see `findReadingPosition()`, as paragraphs of their own.
+     * Duplicating the text keeps the tables' header and footer rows and merged cells. The
+     * frame is removed, so that its text isn't exported twice.
+     *
+     * @param {TextFrame} frame - The text frame with tables.
+     * @param {Array} tableFrames - The text frames with tables on the page that haven't been
+     *                              placed yet, which are not considered as reading position.
+     * @return {boolean} True if the frame was moved, false if the spread has no other text.
+     */
+    function placeTableFrameAtReadingPosition(frame, tableFrames) {
+        var position = findReadingPosition(frame, tableFrames);
+        if (position === null) {
+            return false;
+        }
+        var story = position.story;
+        var index = position.index;
+        if (position.end && (index === 0 || story.characters[index - 1].contents !== "\r")) {
+            story.insertionPoints[index].contents = "\r";
+            index += 1;
+        }
+        var text = frame.parentStory.texts[0];
+        var length = text.characters.length;
+        if (index === 0) {
+            text.duplicate(LocationOptions.BEFORE, story.characters[0]);
+        } else {
+            text.duplicate(LocationOptions.AFTER, story.characters[index - 1]);
+        }
+        index += length;
+        if (story.characters[index - 1].contents !== "\r") {
+            story.insertionPoints[index].contents = "\r";
+        }
+        frame.remove();
+        return true;
     }
 
     /**
@@ -402,6 +1975,376 @@ function bookalopeDocumentToRTF(doc) {
         return 1;
     }
 
+    /**
+     * Format the given note number like InDesign does for the given numbering style, which
+     * is the name of a FootnoteNumberingStyle or EndnoteNumberingStyle, e.g. "LOWER_ROMAN".
+     * Styles that we don't know are formatted as Arabic numbers.
+     *
+     * @param {Number} number - The note number, starting at 1.
+     * @param {string} style - The name of the numbering style.
+     * @return {string} The formatted number.
+     */
+    function formatNoteNumber(number, style) {
+        if (style === "UPPER_ROMAN" || style === "LOWER_ROMAN") {
+            var numerals = [[1000, "M"], [900, "CM"], [500, "D"], [400, "CD"], [100, "C"], [90, "XC"], [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]];
+            var roman = "";
+            for (var i = 0; i < numerals.length; i++) {
+                while (number >= numerals[i][0]) {
+                    roman += numerals[i][1];
+                    number -= numerals[i][0];
+                }
+            }
+            return style === "LOWER_ROMAN" ? roman.toLowerCase() : roman;
+        }
+        if (style === "UPPER_LETTERS" || style === "LOWER_LETTERS") {
+            var letters = "";
+            for (var n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+                letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+            }
+            return style === "LOWER_LETTERS" ? letters.toLowerCase() : letters;
+        }
+        if (style === "ASTERISKS") {
+            return new Array(number + 1).join("*");
+        }
+        if (style === "SYMBOLS") {
+            var symbols = ["*", "\u2020", "\u2021", "\u00a7", "\u00b6", "#"];
+            return new Array(Math.floor((number - 1) / symbols.length) + 2).join(symbols[(number - 1) % symbols.length]);
+        }
+        if (style === "SINGLE_LEADING_ZEROS") {
+            return (number < 10 ? "0" : "") + number;
+        }
+        if (style === "DOUBLE_LEADING_ZEROS") {
+            return (number < 10 ? "00" : number < 100 ? "0" : "") + number;
+        }
+        return String(number);
+    }
+
+    /**
+     * Return the name of the given numbering style value of the given enumeration, e.g.
+     * "LOWER_ROMAN" for `FootnoteNumberingStyle.LOWER_ROMAN`.
+     *
+     * @param {Object} styles - The enumeration, FootnoteNumberingStyle or EndnoteNumberingStyle.
+     * @param {Number} style - The numbering style value.
+     * @return {string} The name of the numbering style, or "ARABIC".
+     */
+    function noteNumberingStyleName(styles, style) {
+        var names = ["UPPER_ROMAN", "LOWER_ROMAN", "UPPER_LETTERS", "LOWER_LETTERS", "ASTERISKS", "SYMBOLS", "SINGLE_LEADING_ZEROS", "DOUBLE_LEADING_ZEROS"];
+        for (var i = 0; styles && i < names.length; i++) {
+            if (styles[names[i]] !== undefined && styles[names[i]] === style) {
+                return names[i];
+            }
+        }
+        return "ARABIC";
+    }
+
+    /**
+     * Number the given notes the way InDesign numbers their references: in reading order,
+     * i.e. page by page and on a page frame by frame, counting from the given start and
+     * starting over whenever the given restart function returns a different key. Notes
+     * whose references are overset come last.
+     *
+     * @param {Array} notes - A list of {story, note} objects of Footnotes or Endnotes.
+     * @param {Object} numbering - The {start, style, prefix, suffix, restart} numbering
+     *                             options, where `restart(story, page)` returns the key of
+     *                             the numbering scope of a note reference.
+     * @return {Array} The {story, note, reference} objects in reading order, with the
+     *                 formatted "reference" number of each note.
+     */
+    function numberNotes(notes, numbering) {
+        var numbered = [];
+        for (var i = 0; i < notes.length; i++) {
+            var frames = notes[i].note.storyOffset.parentTextFrames;
+            var frame = frames.length !== 0 ? frames[0] : null;
+            numbered.push({
+                story: notes[i].story,
+                note: notes[i].note,
+                frame: frame,
+                page: frame && frame.parentPage ? frame.parentPage : null,
+                index: notes[i].note.storyOffset.index
+            });
+        }
+        numbered.sort(function (a, b) {
+            if (a.page === null || b.page === null) {
+                return (a.page === null) - (b.page === null) || (a.story.id === b.story.id ? a.index - b.index : 0);
+            }
+            if (a.page.documentOffset !== b.page.documentOffset) {
+                return a.page.documentOffset - b.page.documentOffset;
+            }
+            if (a.story.id === b.story.id) {
+                return a.index - b.index;
+            }
+            return cmpFrames(a.frame, b.frame);
+        });
+        var number = numbering.start;
+        var scope;
+        for (var j = 0; j < numbered.length; j++) {
+            var key = numbering.restart(numbered[j].story, numbered[j].page);
+            if (j !== 0 && key !== scope) {
+                number = numbering.start;
+            }
+            scope = key;
+            numbered[j].reference = numbering.prefix + formatNoteNumber(number, numbering.style) + numbering.suffix;
+            number++;
+        }
+        return numbered;
+    }
+
+    /**
+     * Return the given numbered notes that belong to the given story, in story order.
+     *
+     * @param {Array} notes - The {story, note, reference} objects, see `numberNotes()`.
+     * @param {Story} story - The story.
+     * @return {Array} The story's {story, note, reference} objects.
+     */
+    function notesOfStory(notes, story) {
+        var storyNotes = [];
+        for (var i = 0; i < notes.length; i++) {
+            if (notes[i].story.id === story.id) {
+                storyNotes.push(notes[i]);
+            }
+        }
+        storyNotes.sort(function (a, b) {
+            return a.index - b.index;
+        });
+        return storyNotes;
+    }
+
+    /**
+     * Replace the given footnotes or endnotes of a story, last to first, with explicit
+     * markers that Bookalope recognises: the note's reference number in the given
+     * reference character style, immediately followed by the note's text in the given
+     * note character style. Paragraph breaks in a note's text become forced line breaks.
+     *
+     * @param {Story} story - The story that contains the notes.
+     * @param {Array} notes - The story's {note, reference} objects in story order, see
+     *                        `numberNotes()`.
+     * @param {function} noteText - Returns the Text of a given note.
+     * @param {CharacterStyle} referenceStyle - The character style of note references.
+     * @param {CharacterStyle} noteStyle - The character style of note texts.
+     */
+    function markNotes(story, notes, noteText, referenceStyle, noteStyle) {
+        for (var i = notes.length - 1; i >= 0; i--) {
+            var note = notes[i].note;
+            var index = note.storyOffset.index;
+            var text = String(noteText(note).contents).replace(/^[\u0000-\u001f\s]+/, "").replace(/\r/g, "\n");
+            var reference = notes[i].reference;
+            note.remove();
+            story.insertionPoints[index].contents = reference + text;
+            story.characters.itemByRange(index, index + reference.length - 1).applyCharacterStyle(referenceStyle, true);
+            if (text.length !== 0) {
+                story.characters.itemByRange(index + reference.length, index + reference.length + text.length - 1).applyCharacterStyle(noteStyle, false);
+            }
+        }
+    }
+
+    /**
+     * Insert the given marker text at the given insertion point, and apply the given
+     * character style to it.
+     *
+     * @param {InsertionPoint} insertionPoint - Where to insert the marker.
+     * @param {string} text - The marker text.
+     * @param {CharacterStyle} style - The character style of the marker.
+     */
+    function insertMarker(insertionPoint, text, style) {
+        var story = insertionPoint.parentStory;
+        var index = insertionPoint.index;
+        story.insertionPoints[index].contents = text;
+        story.characters.itemByRange(index, index + text.length - 1).applyCharacterStyle(style, true);
+    }
+
+    /**
+     * Return true if the given hyperlink source is text, i.e. has a "sourceText".
+     *
+     * @param {Object} source - The source of a hyperlink.
+     * @return {boolean} True for text and cross-reference sources.
+     */
+    function isTextSource(source) {
+        return !!source && (source.constructor.name === "HyperlinkTextSource" || source.constructor.name === "CrossReferenceSource");
+    }
+
+    /**
+     * Serialise the document's links to places within the document into the text, because
+     * duplicating the stories into a single story would lose them: every text destination
+     * of a hyperlink, cross-reference or bookmark gets a named anchor marker, and the source
+     * text of every internal hyperlink and cross-reference is enclosed in link markers that
+     * name the anchor. The link itself is removed first, which keeps its text, so that the
+     * markers end up outside of the source text and a cross-reference update can't touch
+     * them. Links to pages, or from page items, are skipped.
+     *
+     * @param {Object} styles - The "anchor", "linkStart" and "linkEnd" character styles.
+     * @param {Object} links - The counts of "internal" links, "bookmarks" and "skipped" links.
+     */
+    function markInternalLinks(styles, links) {
+        var anchors = {};
+
+        // Helper function that returns the name of the destination's anchor, and inserts
+        // the anchor if needed; or null if the destination isn't within the text.
+        function anchorName(destination) {
+            if (!destination || (destination.constructor.name !== "HyperlinkTextDestination" && destination.constructor.name !== "ParagraphDestination")) {
+                return null;
+            }
+            if (anchors[destination.id] === undefined) {
+                var target = destination.destinationText;
+                var insertionPoint = target.constructor.name === "InsertionPoint" ? target : target.insertionPoints[0];
+                anchors[destination.id] = "anchor-" + destination.id;
+                insertMarker(insertionPoint, anchors[destination.id], styles.anchor);
+            }
+            return anchors[destination.id];
+        }
+
+        var hyperlinks = tmpDoc.hyperlinks.everyItem().getElements();
+        for (var i = 0; i < hyperlinks.length; i++) {
+            var source = hyperlinks[i].source;
+            var destination = hyperlinks[i].destination;
+            if (destination && destination.constructor.name === "HyperlinkURLDestination") {
+                continue;
+            }
+            var name = isTextSource(source) ? anchorName(destination) : null;
+            if (name === null) {
+                links.skipped++;
+                continue;
+            }
+            var sourceStory = source.sourceText.parentStory;
+            var start = source.sourceText.index;
+            var end = start + source.sourceText.characters.length;
+            try {
+                hyperlinks[i].remove();
+                source.remove();
+            } catch (_) {
+                // The source went with its hyperlink, and we do nothing in that case.
+            }
+
+            // Insert the end marker first, so that the start of the source text stays put.
+            insertMarker(sourceStory.insertionPoints[end], "#", styles.linkEnd);
+            insertMarker(sourceStory.insertionPoints[start], "#" + name, styles.linkStart);
+            links.internal++;
+        }
+        for (var j = 0; j < tmpDoc.bookmarks.length; j++) {
+            if (anchorName(tmpDoc.bookmarks[j].destination) !== null) {
+                links.bookmarks++;
+            }
+        }
+    }
+
+    /**
+     * Return the document's hyperlinks to URLs whose sources are text, by story.
+     *
+     * @return {Object} Lists of {index, length, destination} objects by story id.
+     */
+    function urlLinksByStory() {
+        var urlLinks = {};
+        var hyperlinks = tmpDoc.hyperlinks.everyItem().getElements();
+        for (var i = 0; i < hyperlinks.length; i++) {
+            var source = hyperlinks[i].source;
+            var destination = hyperlinks[i].destination;
+            if (destination && destination.constructor.name === "HyperlinkURLDestination" && isTextSource(source)) {
+                var sourceText = source.sourceText;
+                var storyId = sourceText.parentStory.id;
+                urlLinks[storyId] = urlLinks[storyId] || [];
+                urlLinks[storyId].push({index: sourceText.index, length: sourceText.characters.length, destination: destination});
+            }
+        }
+        return urlLinks;
+    }
+
+    /**
+     * Like `cmpFrames()` but for right-to-left layouts: returns -1 if frameA is above or
+     * right of frameB.
+     *
+     * @param {TextFrame} frameA - A TextFrame object reference.
+     * @param {TextFrame} frameB - A TextFrame object reference.
+     * @return {Number} -1 if frameA is smaller than frameB, 1 otherwise.
+     */
+    function cmpFramesRightToLeft(frameA, frameB) {
+        if (frameA.geometricBounds[0] < frameB.geometricBounds[0]) {
+            return -1;
+        }
+        if (frameA.geometricBounds[0] == frameB.geometricBounds[0]) {
+            return (frameA.geometricBounds[3] > frameB.geometricBounds[3]) ? -1 : 1;
+        }
+        return 1;
+    }
+
+    /**
+     * Order the given text frames of a page column by column: frames whose horizontal
+     * extents overlap form a column, columns are ordered from left to right, and the
+     * frames of a column from top to bottom.
+     *
+     * @param {Array} frames - The TextFrames of a page.
+     * @return {Array} The ordered TextFrames.
+     */
+    function orderFramesByColumns(frames) {
+        var columns = [];
+        frames.sort(function (frameA, frameB) {
+            return frameA.geometricBounds[1] - frameB.geometricBounds[1];
+        });
+        for (var i = 0; i < frames.length; i++) {
+            var bounds = frames[i].geometricBounds;
+            var column = null;
+            for (var j = 0; j < columns.length; j++) {
+                if (bounds[1] < columns[j].right && bounds[3] > columns[j].left) {
+                    column = columns[j];
+                    break;
+                }
+            }
+            if (column === null) {
+                column = {left: bounds[1], right: bounds[3], frames: []};
+                columns.push(column);
+            }
+            column.right = Math.max(column.right, bounds[3]);
+            column.frames.push(frames[i]);
+        }
+        var ordered = [];
+        for (var k = 0; k < columns.length; k++) {
+            columns[k].frames.sort(cmpFrames);
+            ordered = ordered.concat(columns[k].frames);
+        }
+        return ordered;
+    }
+
+    /**
+     * Order the given stories so that threaded stories come first, and then by the number
+     * of characters, longest first. Stories of equal rank keep their order.
+     *
+     * @param {Array} stories - The Stories.
+     * @return {Array} The ordered Stories.
+     */
+    function orderStoriesByLength(stories) {
+        var ranked = [];
+        for (var i = 0; i < stories.length; i++) {
+            ranked.push({story: stories[i], frames: stories[i].textContainers.length, length: stories[i].length, index: i});
+        }
+        ranked.sort(function (a, b) {
+            return (b.frames - a.frames) || (b.length - a.length) || (a.index - b.index);
+        });
+        var ordered = [];
+        for (var j = 0; j < ranked.length; j++) {
+            ordered.push(ranked[j].story);
+        }
+        return ordered;
+    }
+
+    /**
+     * Put the given preferred stories first, in their order and without duplicates, and
+     * then the remaining stories.
+     *
+     * @param {Array} preferred - The Stories that come first.
+     * @param {Array} stories - All Stories.
+     * @return {Array} The ordered Stories.
+     */
+    function orderStoriesBy(preferred, stories) {
+        var ordered = [];
+        var orderedId = [];
+        var all = preferred.concat(stories);
+        for (var i = 0; i < all.length; i++) {
+            if (!orderedId.includes(all[i].id)) {
+                ordered.push(all[i]);
+                orderedId.push(all[i].id);
+            }
+        }
+        return ordered;
+    }
+
     // Create a temporary copy of the document that we want to export. It looks like
     //
     //     var tmpFile = new File(app.createTemporaryCopy(doc.fullName));
@@ -431,166 +2374,372 @@ function bookalopeDocumentToRTF(doc) {
     progressWin.show();
     var pbarVal, pbarInc;  // To update the progress bar during each step.
 
-    // Step 1: unlock all layers and elements in the document.
-    tmpDoc.layers.everyItem().locked = false;
-    tmpDoc.pageItems.everyItem().locked = false;
-    progressWin.pbar.value = pbarVal = 100;
-
-    // Step 2: add a character style for page numbers that we'll inject
-    // into the text further down. Bookalope will know what to do with
-    // that extra goodness.
-    var pgnrCharacterStyleName = "bookalope-page-number";
-    var pgnrCharacterStyle = tmpDoc.characterStyles.itemByName(pgnrCharacterStyleName);
-    if (!pgnrCharacterStyle.isValid) {
-        pgnrCharacterStyle = tmpDoc.characterStyles.add({
-            name: pgnrCharacterStyleName,
-            pointSize: 0.1
-        });
-    }
-    progressWin.pbar.value = pbarVal = 200;
-
-    // Step 3: insert into the text and where the text flow breaks onto the
-    // next page and using our special character style the page name of the
-    // current page.
-    pbarInc = (1 / tmpDoc.pages.length) * 100;
-    for (var i = 0; i < tmpDoc.pages.length; i++) {
-        var pageTextFrames = [];
-        var page = tmpDoc.pages[i];
-        var textFrames = page.textFrames;
-        for (var j = 0; j < textFrames.length; j++) {
-            var textFrame = textFrames[j];
-            if (textFrame.parent.constructor.name === "Spread") {
-                if (textFrame.contents !== "" && (textFrame.nextTextFrame || textFrame.previousTextFrame)) {
-                    pageTextFrames.push(textFrame);
+    try {
+
+        // Step 1: unlock all layers and elements in the document, and then remove the
+        // elements that the user doesn't want to export.
+        tmpDoc.layers.everyItem().locked = false;
+        tmpDoc.pageItems.everyItem().locked = false;
+        bookalopeApplyExclusionRules(tmpDoc, options && options.exclude, report);
+        progressWin.pbar.value = pbarVal = 100;
+
+        // Step 2: add a character style for page numbers that we'll inject
+        // into the text further down. Bookalope will know what to do with
+        // that extra goodness.
+        var pgnrCharacterStyleName = "bookalope-page-number";
+        var pgnrCharacterStyle = tmpDoc.characterStyles.itemByName(pgnrCharacterStyleName);
+        if (!pgnrCharacterStyle.isValid) {
+            pgnrCharacterStyle = tmpDoc.characterStyles.add({
+                name: pgnrCharacterStyleName,
+                pointSize: 0.1
+            });
+        }
+
+        // Likewise, add character styles for footnotes and endnotes, and replace the notes
+        // of all stories with explicit markers that use these styles. Duplicating the stories
+        // into a single story further down would flatten or lose the notes otherwise.
+        var noteCharacterStyles = {};
+        var noteCharacterStyleNames = ["bookalope-footnote-reference", "bookalope-footnote", "bookalope-endnote-reference", "bookalope-endnote"];
+        for (var i = 0; i < noteCharacterStyleNames.length; i++) {
+            var noteCharacterStyle = tmpDoc.characterStyles.itemByName(noteCharacterStyleNames[i]);
+            if (!noteCharacterStyle.isValid) {
+                noteCharacterStyle = tmpDoc.characterStyles.add({name: noteCharacterStyleNames[i]});
+            }
+            noteCharacterStyles[noteCharacterStyleNames[i]] = noteCharacterStyle;
+        }
+        // The notes are numbered like InDesign numbers them, honouring the document's footnote
+        // and endnote options, before any of them is replaced.
+        var footnotes = [];
+        var endnotes = [];
+        for (var i = 0; i < tmpDoc.stories.length; i++) {
+            var story = tmpDoc.stories[i];
+            for (var j = 0; j < story.footnotes.length; j++) {
+                footnotes.push({story: story, note: story.footnotes[j]});
+            }
+
+            // Endnotes exist since InDesign CC 2018.
+            for (var j = 0; story.endnotes && j < story.endnotes.length; j++) {
+                endnotes.push({story: story, note: story.endnotes[j]});
+            }
+        }
+        var footnoteOptions = tmpDoc.footnoteOptions;
+        var footnotePrefixSuffix = footnoteOptions.showPrefixSuffix === FootnotePrefixSuffix.PREFIX_SUFFIX_REFERENCE || footnoteOptions.showPrefixSuffix === FootnotePrefixSuffix.PREFIX_SUFFIX_BOTH;
+        footnotes = numberNotes(footnotes, {
+            start: footnoteOptions.startAt,
+            style: noteNumberingStyleName(FootnoteNumberingStyle, footnoteOptions.footnoteNumberingStyle),
+            prefix: footnotePrefixSuffix ? footnoteOptions.prefix : "",
+            suffix: footnotePrefixSuffix ? footnoteOptions.suffix : "",
+            restart: function (story, page) {
+                if (!page || footnoteOptions.restartNumbering === FootnoteRestarting.DONT_RESTART) {
+                    return null;
+                }
+                if (footnoteOptions.restartNumbering === FootnoteRestarting.PAGE_RESTART) {
+                    return page.id;
+                }
+                if (footnoteOptions.restartNumbering === FootnoteRestarting.SPREAD_RESTART) {
+                    return page.parent.id;
                 }
+                return page.appliedSection.id;
             }
+        });
+        if (endnotes.length !== 0) {
+            var endnoteOptions = tmpDoc.endnoteOptions;
+            var endnotePrefixSuffix = endnoteOptions.showEndnotePrefixSuffix === EndnotePrefixSuffix.PREFIX_SUFFIX_REFERENCE || endnoteOptions.showEndnotePrefixSuffix === EndnotePrefixSuffix.PREFIX_SUFFIX_BOTH;
+            endnotes = numberNotes(endnotes, {
+                start: endnoteOptions.startEndnoteNumberAt || 1,
+                style: noteNumberingStyleName(EndnoteNumberingStyle, endnoteOptions.endnoteNumberingStyle),
+                prefix: endnotePrefixSuffix ? endnoteOptions.endnotePrefix : "",
+                suffix: endnotePrefixSuffix ? endnoteOptions.endnoteSuffix : "",
+                restart: function (story, page) {
+                    return endnoteOptions.restartEndnoteNumbering === EndnoteRestarting.EVERY_STORY ? story.id : null;
+                }
+            });
         }
-        if (pageTextFrames.length !== 0) {
-            pageTextFrames.sort(cmpFrames);
-            var textFrame = pageTextFrames[0];
-            var insertionPoint = textFrame.insertionPoints.item(0);
-            insertionPoint.contents = "" + page.name;
-            insertionPoint.applyCharacterStyle(pgnrCharacterStyle, true);
+
+        // Then replace the notes of each story with their markers.
+        report.notes = {"footnotes": footnotes.length, "endnotes": endnotes.length};
+        for (var i = 0; i < tmpDoc.stories.length; i++) {
+            var story = tmpDoc.stories[i];
+            markNotes(story, notesOfStory(footnotes, story), function (footnote) {
+                return footnote.texts[0];
+            }, noteCharacterStyles["bookalope-footnote-reference"], noteCharacterStyles["bookalope-footnote"]);
+            markNotes(story, notesOfStory(endnotes, story), function (endnote) {
+                return endnote.endnoteText;
+            }, noteCharacterStyles["bookalope-endnote-reference"], noteCharacterStyles["bookalope-endnote"]);
         }
-        pbarVal += pbarInc;
-        progressWin.pbar.value = Math.round(pbarVal);
-    }
-    progressWin.pbar.value = pbarVal = 300;
 
-    // Step 4: delete empty graphics, and then export the embedded images.
-    var docGraphics = tmpDoc.allGraphics;
-    var emptyGraphics = [];
-    pbarInc = (1 / docGraphics.length) * 100 * (1/3);
-    for (var i = 0; i < docGraphics.length; i++) {
-        var graphic = docGraphics[i];
-        try {
-            var area = (graphic.visibleBounds[2] - graphic.visibleBounds[0]) * (graphic.visibleBounds[3] - graphic.visibleBounds[1]);
-            if (area === 0) {
+        // And add styles for figure captions and the alternative text of images, which we'll
+        // inject into the text along with the images further down.
+        var captionParagraphStyle = tmpDoc.paragraphStyles.itemByName("bookalope-caption");
+        if (!captionParagraphStyle.isValid) {
+            captionParagraphStyle = tmpDoc.paragraphStyles.add({name: "bookalope-caption"});
+        }
+        var altTextCharacterStyle = tmpDoc.characterStyles.itemByName("bookalope-alt-text");
+        if (!altTextCharacterStyle.isValid) {
+            altTextCharacterStyle = tmpDoc.characterStyles.add({
+                name: "bookalope-alt-text",
+                pointSize: 0.1
+            });
+        }
+        report.figures = {"captions": 0, "altTexts": 0};
+
+        // Finally, add character styles for the header and footer rows of tables, and
+        // mark all tables' header and footer rows with them.
+        var tableHeaderCharacterStyle = tmpDoc.characterStyles.itemByName("bookalope-table-header");
+        if (!tableHeaderCharacterStyle.isValid) {
+            tableHeaderCharacterStyle = tmpDoc.characterStyles.add({name: "bookalope-table-header"});
+        }
+        var tableFooterCharacterStyle = tmpDoc.characterStyles.itemByName("bookalope-table-footer");
+        if (!tableFooterCharacterStyle.isValid) {
+            tableFooterCharacterStyle = tmpDoc.characterStyles.add({name: "bookalope-table-footer"});
+        }
+        for (var i = 0; i < tmpDoc.stories.length; i++) {
+            for (var j = 0; j < tmpDoc.stories[i].tables.length; j++) {
+                markTableRows(tmpDoc.stories[i].tables[j]);
+            }
+        }
+        report.tables = {"placed": 0, "failed": []};
+        progressWin.pbar.value = pbarVal = 200;
+
+        // Step 3: insert into the text and where the text flow breaks onto the
+        // next page and using our special character style the page name of the
+        // current page.
+        pbarInc = (1 / tmpDoc.pages.length) * 100;
+        for (var i = 0; i < tmpDoc.pages.length; i++) {
+            var pageTextFrames = [];
+            var page = tmpDoc.pages[i];
+            var textFrames = page.textFrames;
+            for (var j = 0; j < textFrames.length; j++) {
+                var textFrame = textFrames[j];
+                if (textFrame.parent.constructor.name === "Spread") {
+                    if (textFrame.contents !== "" && (textFrame.nextTextFrame || textFrame.previousTextFrame)) {
+                        pageTextFrames.push(textFrame);
+                    }
+                }
+            }
+            if (pageTextFrames.length !== 0) {
+                pageTextFrames.sort(cmpFrames);
+                var textFrame = pageTextFrames[0];
+                var insertionPoint = textFrame.insertionPoints.item(0);
+                insertionPoint.contents = "" + page.name;
+                insertionPoint.applyCharacterStyle(pgnrCharacterStyle, true);
+            }
+            pbarVal += pbarInc;
+            progressWin.pbar.value = Math.round(pbarVal);
+        }
+        progressWin.pbar.value = pbarVal = 300;
+
+        // Step 4: delete empty graphics, and then export the embedded images.
+        var docGraphics = tmpDoc.allGraphics;
+        var emptyGraphics = [];
+        pbarInc = (1 / docGraphics.length) * 100 * (1/3);
+        for (var i = 0; i < docGraphics.length; i++) {
+            var graphic = docGraphics[i];
+            try {
+                var area = (graphic.visibleBounds[2] - graphic.visibleBounds[0]) * (graphic.visibleBounds[3] - graphic.visibleBounds[1]);
+                if (area === 0) {
+                    emptyGraphics.push(graphic);
+                }
+            } catch(_) {
                 emptyGraphics.push(graphic);
             }
-        } catch(_) {
-            emptyGraphics.push(graphic);
+            pbarVal += pbarInc;
+            progressWin.pbar.value = Math.round(pbarVal);
         }
-        pbarVal += pbarInc;
-        progressWin.pbar.value = Math.round(pbarVal);
-    }
-    pbarInc = (1 / emptyGraphics.length) * 100 * (1/3);
-    for (var i = 0; i < emptyGraphics.length; i++) {
-        emptyGraphics[i].remove();
+        pbarInc = (1 / emptyGraphics.length) * 100 * (1/3);
+        for (var i = 0; i < emptyGraphics.length; i++) {
+            emptyGraphics[i].remove();
 
-        pbarVal += pbarInc;
-        progressWin.pbar.value = Math.round(pbarVal);
-    }
-    docGraphics = tmpDoc.allGraphics;
-    pbarInc = (1 / docGraphics.length) * 100 * (1/3);
-    for (var i = 0; i < docGraphics.length; i++) {
-        var graphic = docGraphics[i];
-        if (graphic.itemLink == null) {
-            var tmpImgFile = new File(createUniqueName(tmpPath + "/img", ".png"));
-            exportPNG(graphic, tmpImgFile);
-            graphic.parent.place(tmpImgFile);
-        } else if (graphic.itemLink.status === LinkStatus.linkEmbedded) {
-            app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
-            graphic.itemLink.unembed(tmpPath);
-            app.scriptPreferences.userInteractionLevel = UserInteractionLevels.INTERACT_WITH_ALL;
-        } else {
-            // Ignore other link statuses:
-            // https://github.com/bookalope/InDesign-CEP/pull/13#issuecomment-938669971
-        }
-        pbarVal += pbarInc;
-        progressWin.pbar.value = Math.round(pbarVal);
-    }
-    progressWin.pbar.value = pbarVal = 400;
-
-    // Step 5: anchor images on document pages.
-    pbarInc = (1 / tmpDoc.pages.length) * 100;
-    for (var i = 0; i < tmpDoc.pages.length; i++) {
-        var page = tmpDoc.pages.item(i);
-        if (page.textFrames.length >= 1) {
-            // Each image must be anchored in order to be exported correctly to RTF,
-            // so we anchor them to the first text box on the page. We can tell the
-            // user that if they have unexpected results (images anchored in incorrect
-            // places) they can anchor images manually before running the script.
-            var textFrame = page.textFrames.item(0);
-            if (page.rectangles.length >= 1) {
-                for (var j = 0; j < page.rectangles.length; j++) {
-                    var imageRect = page.rectangles[j];
-                    if (imageRect.images.length >= 1) {
-                        anchorImage(textFrame, imageRect);
+            pbarVal += pbarInc;
+            progressWin.pbar.value = Math.round(pbarVal);
+        }
+        docGraphics = tmpDoc.allGraphics;
+        pbarInc = (1 / docGraphics.length) * 100 * (1/3);
+        for (var i = 0; i < docGraphics.length; i++) {
+            var graphic = docGraphics[i];
+            if (graphic.itemLink == null) {
+                var tmpImgFile = new File(bookalopeCreateUniqueName(tmpPath + "/img", ".png"));
+                exportPNG(graphic, tmpImgFile);
+                graphic.parent.place(tmpImgFile);
+            } else if (graphic.itemLink.status === LinkStatus.linkEmbedded) {
+                app.scriptPreferences.userInteractionLevel = UserInteractionLevels.NEVER_INTERACT;
+                graphic.itemLink.unembed(tmpPath);
+                app.scriptPreferences.userInteractionLevel = UserInteractionLevels.INTERACT_WITH_ALL;
+            } else {
+                // Ignore other link statuses:
+                // https://github.com/bookalope/InDesign-CEP/pull/13#issuecomment-938669971
+            }
+            pbarVal += pbarInc;
+            progressWin.pbar.value = Math.round(pbarVal);
+        }
+        progressWin.pbar.value = pbarVal = 400;
+
+        // Step 5: anchor images on document pages. Each image must be anchored in order
+        // to be exported correctly to RTF, so we anchor them at their reading position, see
+        // `findReadingPosition()`, together with their captions. If the user has unexpected
+        // results (images anchored in incorrect places) she can anchor images manually before
+        // running the script. Measure in points and from the spread's origin, so that images
+        // and text frames on facing pages compare.
+        var userRulerOrigin = tmpDoc.viewPreferences.rulerOrigin;
+        tmpDoc.viewPreferences.rulerOrigin = RulerOrigin.SPREAD_ORIGIN;
+        tmpDoc.viewPreferences.horizontalMeasurementUnits = MeasurementUnits.points;
+        tmpDoc.viewPreferences.verticalMeasurementUnits = MeasurementUnits.points;
+        pbarInc = (1 / tmpDoc.pages.length) * 100;
+        for (var i = 0; i < tmpDoc.pages.length; i++) {
+
+            // Likewise, move tables in standalone text frames to their reading position, so that
+            // they're not exported as loose stories. Tables that can't be moved stay where they are.
+            // Placed frames are removed, so only the frames still on the page are passed on.
+            var tableFrames = pageTableFrames(tmpDoc.pages.item(i));
+            var unplacedFrames = tableFrames.slice(0);
+            for (var j = 0; j < tableFrames.length; j++) {
+                var tableFrame = tableFrames[j];
+                var tableFrameId = tableFrame.id;
+                var tableCount = tableFrame.parentStory.tables.length;
+                var tableDescription = bookalopeDescribePageItem(tableFrame);
+                try {
+                    if (placeTableFrameAtReadingPosition(tableFrame, unplacedFrames)) {
+                        for (var k = unplacedFrames.length - 1; k >= 0; k--) {
+                            if (!unplacedFrames[k].isValid || unplacedFrames[k].id === tableFrameId) {
+                                unplacedFrames.splice(k, 1);
+                            }
+                        }
+                        report.tables.placed += tableCount;
+                    } else {
+                        tableDescription.reason = "no text on the spread";
+                        report.tables.failed.push(tableDescription);
                     }
+                } catch (exc) {
+                    tableDescription.reason = String(exc);
+                    report.tables.failed.push(tableDescription);
                 }
             }
-        }
-        pbarVal += pbarInc;
-        progressWin.pbar.value = Math.round(pbarVal);
-    }
-    progressWin.pbar.value = pbarVal = 500;
 
-    // Step 6: order stories so we can export them in sequence. So we loop over all pages,
-    // and over all frames on a single page, and order the frames.
-    var stories = [];
-    var storiesId = [];
-    pbarInc = (1 / tmpDoc.pages.length) * 100;
-    for (var i = 0; i < tmpDoc.pages.length; i++) {
-        var page = tmpDoc.pages.item(i);
-        var frames = [];
-        for (var j = 0; j < page.textFrames.length; j++) {
-            frames.push(page.textFrames.item(j));
+            var images = pageImages(tmpDoc.pages.item(i));
+            for (var j = 0; j < images.length; j++) {
+                anchorImageAtReadingPosition(images[j].rect, images[j].captions);
+            }
+            pbarVal += pbarInc;
+            progressWin.pbar.value = Math.round(pbarVal);
         }
-        frames.sort(cmpFrames);
+        tmpDoc.viewPreferences.rulerOrigin = userRulerOrigin;
+        progressWin.pbar.value = pbarVal = 500;
+
+        // Step 6: order stories so we can export them in sequence. So we loop over all pages,
+        // and over all frames on a single page, and order the frames. The "longest", "articles"
+        // and "xml" orders then reorder the stories that were found that way.
+        var stories = [];
+        var storiesId = [];
+        pbarInc = (1 / tmpDoc.pages.length) * 100;
+        for (var i = 0; i < tmpDoc.pages.length; i++) {
+            var page = tmpDoc.pages.item(i);
+            var frames = [];
+            for (var j = 0; j < page.textFrames.length; j++) {
+                frames.push(page.textFrames.item(j));
+            }
+            if (order === "columns") {
+                frames = orderFramesByColumns(frames);
+            } else {
+                frames.sort(order === "rtl" ? cmpFramesRightToLeft : cmpFrames);
+            }
 
-        // For each frame, if its story is not already in the ordered list, we add it.
-        for (var j = 0; j < frames.length; j++) {
-            var frame = frames[j];
-            var story = frame.parentStory;
-            var storyId = story.id;
-            if (!storiesId.includes(storyId)) {
-                stories.push(story);
-                storiesId.push(storyId);
+            // For each frame, if its story is not already in the ordered list, we add it.
+            for (var j = 0; j < frames.length; j++) {
+                var frame = frames[j];
+                var story = frame.parentStory;
+                var storyId = story.id;
+                if (!storiesId.includes(storyId)) {
+                    stories.push(story);
+                    storiesId.push(storyId);
+                }
             }
+            pbarVal += pbarInc;
+            progressWin.pbar.value = Math.round(pbarVal);
+        }
+        if (order === "longest") {
+            stories = orderStoriesByLength(stories);
+        } else if (order === "articles") {
+            stories = orderStoriesBy(bookalopeArticleStories(tmpDoc), stories);
+        } else if (order === "xml") {
+            stories = orderStoriesBy(bookalopeXMLStories(tmpDoc), stories);
         }
-        pbarVal += pbarInc;
-        progressWin.pbar.value = Math.round(pbarVal);
-    }
-    progressWin.pbar.value = pbarVal = 600;
 
-    // Step 7: create a new story where we copy-paste all contents in the correct order.
-    var newContent = tmpDoc.textFrames.add();
-    pbarInc = (1 / stories.length) * 100;
-    for (var i = 0; i < stories.length; i++) {
-        var story = stories[i];
-        story.duplicate(LocationOptions.AT_END, newContent.parentStory);
-        newContent.parentStory.insertionPoints[-1].contents = SpecialCharacters.FRAME_BREAK;
+        // Then leave out the stories that aren't in an article, if the user wants only those.
+        if (options && options.articlesOnly && tmpDoc.articles.length !== 0) {
+            var articleStories = bookalopeArticleStories(tmpDoc);
+            var articleStoriesId = [];
+            for (var i = 0; i < articleStories.length; i++) {
+                articleStoriesId.push(articleStories[i].id);
+            }
+            var keptStories = [];
+            for (var i = 0; i < stories.length; i++) {
+                if (articleStoriesId.includes(stories[i].id)) {
+                    keptStories.push(stories[i]);
+                } else {
+                    var description = bookalopeDescribePageItem(stories[i].textContainers[0]);
+                    description.reason = "not in an article";
+                    report.excluded.push(description);
+                }
+            }
+            stories = keptStories;
+        }
+        progressWin.pbar.value = pbarVal = 600;
+
+        // Step 7: create a new story where we copy-paste all contents in the correct order.
+        // Links within the document are serialised into the text beforehand, and hyperlinks
+        // to URLs are re-created in the new story, so that the RTF keeps them.
+        var linkCharacterStyles = {};
+        var linkCharacterStyleNames = {anchor: "bookalope-anchor", linkStart: "bookalope-link-start", linkEnd: "bookalope-link-end"};
+        for (var key in linkCharacterStyleNames) {
+            if (linkCharacterStyleNames.hasOwnProperty(key)) {
+                var linkCharacterStyle = tmpDoc.characterStyles.itemByName(linkCharacterStyleNames[key]);
+                if (!linkCharacterStyle.isValid) {
+                    linkCharacterStyle = tmpDoc.characterStyles.add({
+                        name: linkCharacterStyleNames[key],
+                        pointSize: 0.1
+                    });
+                }
+                linkCharacterStyles[key] = linkCharacterStyle;
+            }
+        }
+        report.links = {"urls": 0, "internal": 0, "bookmarks": 0, "skipped": 0};
+        markInternalLinks(linkCharacterStyles, report.links);
+        var urlLinks = urlLinksByStory();
+        var newContent = tmpDoc.textFrames.add();
+        pbarInc = (1 / stories.length) * 100;
+        for (var i = 0; i < stories.length; i++) {
+            var story = stories[i];
+            var offset = newContent.parentStory.characters.length;
+            story.duplicate(LocationOptions.AT_END, newContent.parentStory);
+            newContent.parentStory.insertionPoints[-1].contents = SpecialCharacters.FRAME_BREAK;
+
+            // Re-create the story's hyperlinks to URLs, unless duplicating kept them.
+            var storyLinks = urlLinks[story.id] || [];
+            for (var j = 0; j < storyLinks.length; j++) {
+                var link = storyLinks[j];
+                var linkText = newContent.parentStory.characters.itemByRange(offset + link.index, offset + link.index + link.length - 1);
+                try {
+                    var linkSource = tmpDoc.hyperlinkTextSources.add(linkText);
+                    tmpDoc.hyperlinks.add(linkSource, link.destination, {name: "bookalope-link-" + story.id + "-" + j});
+                } catch (_) {
+                    // The text is a hyperlink source already, and we do nothing in that case.
+                }
+                report.links.urls++;
+            }
 
-        pbarVal += pbarInc;
-        progressWin.pbar.value = Math.round(pbarVal);
+            pbarVal += pbarInc;
+            progressWin.pbar.value = Math.round(pbarVal);
+        }
+        var rtfFile = new File(bookalopeCreateUniqueName(tmpPath + "/bookalope-document", ".rtf"));
+        newContent.parentStory.exportFile(ExportFormat.RTF, rtfFile);
+        progressWin.pbar.value = pbarVal = 700;
+    } finally {
+
+        // Step 8: close and remove the temporary document, and close the progress window,
+        // also if preparing the document failed.
+        tmpDoc.close(SaveOptions.NO);
+        tmpFile.remove();
+        progressWin.hide();  // Dispose of the window?
     }
-    var rtfFile = new File(createUniqueName(tmpPath + "/bookalope-document", ".rtf"));
-    newContent.parentStory.exportFile(ExportFormat.RTF, rtfFile);
-    progressWin.pbar.value = pbarVal = 700;
-
-    // Step 8: close the active & temporary document and the progress window, and return.
-    tmpDoc.close(SaveOptions.NO);
-    progressWin.hide();  // Dispose of the window?
-    return JSON.stringify(rtfFile.fsName);
+    return JSON.stringify({"path": rtfFile.fsName, "report": report});
 }